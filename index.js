@@ -6,5 +6,9 @@
 
 decaf.extend(exports, {
     PostgreSQL: require('lib/PostgreSQL').PosgreSQL,
-    Schema: require('lib/Schema').Schema
+    Schema: require('lib/Schema').Schema,
+    Errors: require('lib/Errors'),
+    Query: require('lib/Query').Query,
+    Escape: require('lib/Escape'),
+    Migrator: require('lib/Migrations').Migrator
 });
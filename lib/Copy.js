@@ -0,0 +1,258 @@
+/** @module Copy */
+
+/*global java, org, require, exports, toString */
+
+/**
+ * Bulk loading and exporting through the COPY protocol (org.postgresql.copy.CopyManager).
+ *
+ * Both directions stream: rows are encoded and sent in chunks as they are produced,
+ * and exported rows are handed to the caller one at a time.
+ */
+
+var {formatDate} = require('./Types'),
+    {fromException} = require('./Errors'),
+    {quoteIdent} = require('./Escape'),
+    {CopyManager} = org.postgresql.copy;
+
+/**
+ * @private
+ *
+ * Encoded rows are sent to the server once this many characters are buffered.
+ */
+var CHUNK_SIZE = 65536;
+
+/** @private */
+function isArray( o ) {
+    return toString.apply(o) === '[object Array]';
+}
+
+/**
+ * @private
+ *
+ * Encode a JavaScript array as a PostgreSQL array literal, e.g. {1,2,"a b",NULL}
+ */
+function arrayLiteral( array, options ) {
+    return '{' + array.map(function ( element ) {
+            if ( element === null || element === undefined ) {
+                return 'NULL';
+            }
+            if ( isArray(element) ) {
+                return arrayLiteral(element, options);
+            }
+            return '"' + valueText(element, options).replace(/(["\\])/g, '\\$1') + '"';
+        }).join(',') + '}';
+}
+
+/**
+ * @private
+ *
+ * Text representation of a non-null value, as PostgreSQL reads it.
+ */
+function valueText( value, options ) {
+    var type = toString.apply(value);
+
+    if ( typeof value === 'boolean' ) {
+        return value ? 't' : 'f';
+    }
+    if ( type === '[object Date]' ) {
+        return formatDate(value, options);
+    }
+    if ( isArray(value) ) {
+        return arrayLiteral(value, options);
+    }
+    if ( typeof value === 'object' && !(value instanceof java.lang.Object) ) {
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+/**
+ * @private
+ *
+ * Encode a value for COPY ... WITH (FORMAT csv).  NULL is an empty unquoted field, so
+ * empty strings are quoted.
+ */
+function csvField( value, options ) {
+    if ( value === null || value === undefined ) {
+        return '';
+    }
+    var text = valueText(value, options);
+    if ( text === '' || /[",\r\n]/.test(text) || text === '\\.' ) {
+        return '"' + text.replace(/"/g, '""') + '"';
+    }
+    return text;
+}
+
+/**
+ * @private
+ *
+ * Encode a value for COPY ... WITH (FORMAT text).  NULL is \N.
+ */
+function textField( value, options ) {
+    if ( value === null || value === undefined ) {
+        return '\\N';
+    }
+    return valueText(value, options)
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * @private
+ *
+ * Encode a row (array of values, or object keyed by column name) as a line of COPY data.
+ * Strings are assumed to be already encoded lines.
+ */
+function encodeRow( row, columns, csv, options ) {
+    if ( typeof row === 'string' ) {
+        return /\n$/.test(row) ? row : row + '\n';
+    }
+    var values = isArray(row) ? row : columns.map(function ( column ) {
+        return row[ column ];
+    });
+
+    return values.map(function ( value ) {
+            return csv ? csvField(value, options) : textField(value, options);
+        }).join(csv ? ',' : '\t') + '\n';
+}
+
+/** @private */
+function getFormat( options ) {
+    return String(options.format || 'csv').toLowerCase();
+}
+
+/** @private */
+function withOptions( options ) {
+    var format = getFormat(options),
+        clauses = [ 'FORMAT ' + format ];
+
+    if ( format !== 'csv' && format !== 'text' ) {
+        throw new Error('Copy: unsupported format ' + options.format);
+    }
+    if ( options.header ) {
+        if ( format !== 'csv' ) {
+            throw new Error('Copy: header is only supported for csv');
+        }
+        clauses.push('HEADER true');
+    }
+    return ' WITH (' + clauses.join(', ') + ')';
+}
+
+/**
+ * COPY rows into a table.
+ *
+ * rows is an array of rows, or a function called repeatedly that returns the next row,
+ * or null/undefined when there are no more.  A row is an array of values in columns order,
+ * an object keyed by column name, or a string of already encoded COPY data.
+ *
+ * @method copyIn
+ * @param {java.sql.Connection} connection
+ * @param {string} table table name, optionally schema qualified
+ * @param {Array} columns column names, or null for all columns in table order (rows must then be arrays)
+ * @param {Array|function} rows the rows or a function that returns them one at a time
+ * @param {object} options format ('csv' or 'text') and the type options (timezone) for encoding Dates
+ * @return {int} number of rows copied
+ */
+function copyIn( connection, table, columns, rows, options ) {
+    var sql = 'COPY ' + quoteIdent(table) +
+            (columns ? ' (' + columns.map(function ( column ) {
+                return quoteIdent(column);
+            }).join(', ') + ')' : '') +
+            ' FROM STDIN' + withOptions({ format : options.format }),
+        csv = getFormat(options) === 'csv',
+        next = isArray(rows) ? (function () {
+            var i = 0;
+            return function () {
+                return i < rows.length ? rows[ i++ ] : null;
+            };
+        }()) : rows,
+        copy = null,
+        buffer = [],
+        length = 0,
+        row;
+
+    function flush() {
+        var bytes = new java.lang.String(buffer.join('')).getBytes('UTF-8');
+        copy.writeToCopy(bytes, 0, bytes.length);
+        buffer = [];
+        length = 0;
+    }
+
+    try {
+        copy = new CopyManager(connection).copyIn(sql);
+        while ( (row = next()) !== null && row !== undefined ) {
+            row = encodeRow(row, columns, csv, options);
+            buffer.push(row);
+            length += row.length;
+            if ( length >= CHUNK_SIZE ) {
+                flush();
+            }
+        }
+        if ( length ) {
+            flush();
+        }
+        return Number(copy.endCopy());
+    }
+    catch ( e ) {
+        try {
+            if ( copy && copy.isActive() ) {
+                copy.cancelCopy();
+            }
+        }
+        catch ( ignore ) {
+
+        }
+        throw fromException(e, sql);
+    }
+}
+
+/**
+ * COPY a table or the result of a query out, calling fn with each row of COPY data.
+ *
+ * fn is called with each line (including its trailing newline) as a string, and may
+ * return false to stop early.
+ *
+ * @method copyOut
+ * @param {java.sql.Connection} connection
+ * @param {string} source table name, or a query
+ * @param {function} fn called with each line
+ * @param {object} options format ('csv' or 'text'), header (csv only)
+ * @return {int} number of rows copied
+ */
+function copyOut( connection, source, fn, options ) {
+    var sql = 'COPY ' + (/\s/.test(source) ? '(' + source + ')' : quoteIdent(source)) +
+            ' TO STDOUT' + withOptions(options),
+        copy = null,
+        bytes;
+
+    try {
+        copy = new CopyManager(connection).copyOut(sql);
+        while ( (bytes = copy.readFromCopy()) !== null ) {
+            if ( fn(String(new java.lang.String(bytes, 'UTF-8'))) === false ) {
+                break;
+            }
+        }
+        if ( copy.isActive() ) {
+            copy.cancelCopy();
+        }
+        return Number(copy.getHandledRowCount());
+    }
+    catch ( e ) {
+        try {
+            if ( copy && copy.isActive() ) {
+                copy.cancelCopy();
+            }
+        }
+        catch ( ignore ) {
+
+        }
+        throw fromException(e, sql);
+    }
+}
+
+decaf.extend(exports, {
+    copyIn  : copyIn,
+    copyOut : copyOut
+});
@@ -0,0 +1,222 @@
+/** @module Errors */
+
+/*global java, org, exports */
+
+/**
+ * @private
+ *
+ * Error classes by SQLSTATE, and by SQLSTATE class (first two characters)
+ * for codes without a specific class.
+ */
+var byState = {},
+    byClass = {};
+
+/**
+ * @private
+ *
+ * Define an error class.  Instances have the name, message and stack of a
+ * regular Error, plus the members passed to the constructor.
+ */
+function defineError( name, parent, sqlStates, sqlClass ) {
+    var E = function ( message, members ) {
+        this.message = message;
+        this.stack = (new Error(message)).stack;
+        decaf.extend(this, members || {});
+    };
+    E.prototype = Object.create(parent.prototype);
+    E.prototype.constructor = E;
+    E.prototype.name = name;
+    decaf.each(sqlStates || [], function ( state ) {
+        byState[ state ] = E;
+    });
+    if ( sqlClass ) {
+        byClass[ sqlClass ] = E;
+    }
+    return E;
+}
+
+/**
+ * Base class of all errors raised for a failed query.
+ *
+ * Members (undefined when the server didn't report them):
+ *
+ * - sqlState {string} SQLSTATE error code, e.g. '23505'
+ * - severity {string} ERROR, FATAL...
+ * - detail {string} secondary error message
+ * - hint {string} suggestion from the server
+ * - position {int} position of the error in the query text
+ * - where {string} context (e.g. the function call stack)
+ * - schema, table, column, dataType, constraint {string} objects the error is about
+ * - query {string} the query text
+ * - params {Array|object} the values bound to the query
+ * - javaException {java.sql.SQLException} the exception thrown by the driver
+ *
+ * @class DatabaseError
+ */
+var DatabaseError = defineError('DatabaseError', Error);
+
+/** SQLSTATE class 08 */
+var ConnectionFailure = defineError('ConnectionFailure', DatabaseError, [], '08');
+/** SQLSTATE class 22 */
+var DataError = defineError('DataError', DatabaseError, [], '22');
+/** SQLSTATE class 23 */
+var IntegrityConstraintViolation = defineError('IntegrityConstraintViolation', DatabaseError, [], '23');
+var NotNullViolation = defineError('NotNullViolation', IntegrityConstraintViolation, [ '23502' ]);
+var ForeignKeyViolation = defineError('ForeignKeyViolation', IntegrityConstraintViolation, [ '23503' ]);
+var UniqueViolation = defineError('UniqueViolation', IntegrityConstraintViolation, [ '23505' ]);
+var CheckViolation = defineError('CheckViolation', IntegrityConstraintViolation, [ '23514' ]);
+var ExclusionViolation = defineError('ExclusionViolation', IntegrityConstraintViolation, [ '23P01' ]);
+/** SQLSTATE class 40 */
+var TransactionRollback = defineError('TransactionRollback', DatabaseError, [], '40');
+var SerializationFailure = defineError('SerializationFailure', TransactionRollback, [ '40001' ]);
+var DeadlockDetected = defineError('DeadlockDetected', TransactionRollback, [ '40P01' ]);
+/** SQLSTATE class 42 */
+var SyntaxErrorOrAccessRuleViolation = defineError('SyntaxErrorOrAccessRuleViolation', DatabaseError, [], '42');
+var InsufficientPrivilege = defineError('InsufficientPrivilege', SyntaxErrorOrAccessRuleViolation, [ '42501' ]);
+var SqlSyntaxError = defineError('SqlSyntaxError', SyntaxErrorOrAccessRuleViolation, [ '42601' ]);
+var UndefinedColumn = defineError('UndefinedColumn', SyntaxErrorOrAccessRuleViolation, [ '42703' ]);
+var UndefinedFunction = defineError('UndefinedFunction', SyntaxErrorOrAccessRuleViolation, [ '42883' ]);
+var UndefinedTable = defineError('UndefinedTable', SyntaxErrorOrAccessRuleViolation, [ '42P01' ]);
+var DuplicateTable = defineError('DuplicateTable', SyntaxErrorOrAccessRuleViolation, [ '42P07' ]);
+/** SQLSTATE class 55 */
+var ObjectNotInPrerequisiteState = defineError('ObjectNotInPrerequisiteState', DatabaseError, [], '55');
+var LockNotAvailable = defineError('LockNotAvailable', ObjectNotInPrerequisiteState, [ '55P03' ]);
+/** SQLSTATE class 57 */
+var OperatorIntervention = defineError('OperatorIntervention', DatabaseError, [], '57');
+var QueryCanceled = defineError('QueryCanceled', OperatorIntervention, [ '57014' ]);
+/** a statement canceled because it ran longer than its timeout; has a timeout member (milliseconds) */
+var QueryTimeout = defineError('QueryTimeout', QueryCanceled);
+
+/**
+ * Get the Java exception behind e.  Rhino wraps Java exceptions thrown to JavaScript.
+ *
+ * @method javaException
+ * @param {*} e the error
+ * @return {java.lang.Throwable} the exception, or null if e isn't one
+ */
+function javaException( e ) {
+    if ( !e ) {
+        return null;
+    }
+    if ( e.javaException ) {
+        return e.javaException;
+    }
+    return e instanceof java.lang.Throwable ? e : null;
+}
+
+/**
+ * @private
+ *
+ * The SQLException behind e, which may be the cause of another exception.
+ */
+function sqlException( e ) {
+    var ex = javaException(e);
+    while ( ex ) {
+        if ( ex instanceof java.sql.SQLException ) {
+            return ex;
+        }
+        ex = ex.getCause();
+    }
+    return null;
+}
+
+/**
+ * Get the SQLSTATE of an error, or null if it isn't from the database.
+ *
+ * @method sqlState
+ * @param {*} e the error
+ * @return {string} SQLSTATE
+ */
+function sqlState( e ) {
+    if ( e instanceof DatabaseError ) {
+        return e.sqlState || null;
+    }
+    var ex = sqlException(e);
+    return ex && ex.getSQLState() ? String(ex.getSQLState()) : null;
+}
+
+/** @private */
+function optionalString( s ) {
+    return (s === null || s === undefined) ? undefined : String(s);
+}
+
+/**
+ * Convert an error thrown by the driver to the DatabaseError class for its SQLSTATE.
+ *
+ * Errors that aren't SQLExceptions, or are already DatabaseErrors, are returned as they are.
+ *
+ * @method fromException
+ * @param {*} e the error
+ * @param {string} query query that failed
+ * @param {Array|object} params values bound to the query
+ * @return {*} the converted error
+ */
+function fromException( e, query, params ) {
+    var ex = sqlException(e);
+    if ( !ex || e instanceof DatabaseError ) {
+        return e;
+    }
+
+    var state = optionalString(ex.getSQLState()),
+        E = (state && (byState[ state ] || byClass[ state.substr(0, 2) ])) || DatabaseError,
+        members = {
+            sqlState      : state,
+            query         : query,
+            params        : params,
+            javaException : ex
+        },
+        message = String(ex.getMessage()),
+        server = ex instanceof org.postgresql.util.PSQLException ? ex.getServerErrorMessage() : null;
+
+    if ( server ) {
+        message = optionalString(server.getMessage()) || message;
+        decaf.extend(members, {
+            severity : optionalString(server.getSeverity()),
+            detail   : optionalString(server.getDetail()),
+            hint     : optionalString(server.getHint()),
+            position : server.getPosition() || undefined,
+            where    : optionalString(server.getWhere())
+        });
+        // these were added to the driver later than the others
+        decaf.each([ 'schema', 'table', 'column', 'dataType', 'constraint' ], function ( key ) {
+            var getter = 'get' + key.charAt(0).toUpperCase() + key.substr(1);
+            if ( key === 'dataType' ) {
+                getter = 'getDatatype';
+            }
+            if ( typeof server[ getter ] === 'function' ) {
+                members[ key ] = optionalString(server[ getter ]());
+            }
+        });
+    }
+    return new E(message, members);
+}
+
+decaf.extend(exports, {
+    fromException                    : fromException,
+    sqlState                         : sqlState,
+    javaException                    : javaException,
+    DatabaseError                    : DatabaseError,
+    ConnectionFailure                : ConnectionFailure,
+    DataError                        : DataError,
+    IntegrityConstraintViolation     : IntegrityConstraintViolation,
+    NotNullViolation                 : NotNullViolation,
+    ForeignKeyViolation              : ForeignKeyViolation,
+    UniqueViolation                  : UniqueViolation,
+    CheckViolation                   : CheckViolation,
+    ExclusionViolation               : ExclusionViolation,
+    TransactionRollback              : TransactionRollback,
+    SerializationFailure             : SerializationFailure,
+    DeadlockDetected                 : DeadlockDetected,
+    SyntaxErrorOrAccessRuleViolation : SyntaxErrorOrAccessRuleViolation,
+    InsufficientPrivilege            : InsufficientPrivilege,
+    SqlSyntaxError                   : SqlSyntaxError,
+    UndefinedColumn                  : UndefinedColumn,
+    UndefinedFunction                : UndefinedFunction,
+    UndefinedTable                   : UndefinedTable,
+    DuplicateTable                   : DuplicateTable,
+    ObjectNotInPrerequisiteState     : ObjectNotInPrerequisiteState,
+    LockNotAvailable                 : LockNotAvailable,
+    OperatorIntervention             : OperatorIntervention,
+    QueryCanceled                    : QueryCanceled,
+    QueryTimeout                     : QueryTimeout
+});
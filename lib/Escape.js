@@ -0,0 +1,122 @@
+/** @module Escape */
+
+/*global java, require, exports, toString */
+
+/**
+ * Quoting of literals and identifiers to build SQL text, for standard_conforming_strings = on
+ * (the default since PostgreSQL 9.1), where a backslash in a '...' string is an ordinary character.
+ *
+ * Prefer binding values to placeholders (see the query methods' params) to quoting them.
+ */
+
+var {formatDate} = require('./Types');
+
+/** @private */
+function isArray( o ) {
+    return toString.apply(o) === '[object Array]';
+}
+
+/** @private */
+function rejectNul( s, what ) {
+    if ( s.indexOf('\u0000') !== -1 ) {
+        throw new Error('Escape: ' + what + ' can not contain NUL characters');
+    }
+    return s;
+}
+
+/** @private */
+function quoteString( s ) {
+    s = rejectNul(String(s), 'string literals').replace(/'/g, "''");
+    // E'' strings are understood regardless of standard_conforming_strings
+    return s.indexOf('\\') === -1 ? "'" + s + "'" : "E'" + s.replace(/\\/g, '\\\\') + "'";
+}
+
+/** @private */
+function hex( bytes ) {
+    var digits = [];
+    for ( var i = 0; i < bytes.length; i++ ) {
+        digits.push(((bytes[ i ] & 0xff) + 0x100).toString(16).substr(1));
+    }
+    return digits.join('');
+}
+
+/**
+ * Quote a value as a SQL literal.
+ *
+ * - null and undefined are NULL
+ * - booleans are TRUE or FALSE, and finite numbers are written as they are ('NaN' and 'Infinity' otherwise)
+ * - strings are single quoted, doubling quotes; strings with backslashes become E'' strings
+ * - Dates are quoted timestamps with time zone, in options.timezone or the JVM's default time zone
+ * - arrays are ARRAY[...] of their quoted elements, '{}' if empty
+ * - Java byte arrays are bytea
+ * - other objects are quoted JSON
+ *
+ * Strings containing NUL characters, which PostgreSQL can't store in text, throw an error.
+ *
+ * @method quoteLiteral
+ * @param {*} value value to quote
+ * @param {object} options (optional) timezone (java.util.TimeZone) for Dates, and custom: a function called with each value first, that returns its literal or undefined
+ * @return {string} the literal
+ * @example
+ SQL.update('INSERT INTO notes (body) VALUES (' + quoteLiteral("it's C:\\temp") + ')');
+ // INSERT INTO notes (body) VALUES (E'it''s C:\\temp')
+ */
+function quoteLiteral( value, options ) {
+    options = options || {};
+    var literal = options.custom ? options.custom(value) : undefined,
+        type = toString.apply(value);
+
+    if ( literal !== undefined ) {
+        return literal;
+    }
+    if ( value === null || value === undefined ) {
+        return 'NULL';
+    }
+    if ( typeof value === 'boolean' ) {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if ( typeof value === 'number' ) {
+        return isFinite(value) ? String(value) : "'" + (isNaN(value) ? 'NaN' : (value > 0 ? 'Infinity' : '-Infinity')) + "'";
+    }
+    if ( type === '[object Date]' ) {
+        return quoteString(formatDate(value, options));
+    }
+    if ( isArray(value) ) {
+        return value.length ? 'ARRAY[' + value.map(function ( element ) {
+            return quoteLiteral(element, options);
+        }).join(', ') + ']' : "'{}'";
+    }
+    if ( type === '[object JavaArray]' ) {
+        return "'\\x" + hex(value) + "'::bytea";
+    }
+    if ( typeof value === 'object' && !(value instanceof java.lang.Object) ) {
+        return quoteString(JSON.stringify(value));
+    }
+    return quoteString(value);
+}
+
+/**
+ * Quote an identifier (table, column... name), doubling any double quotes in it.
+ *
+ * With one argument, the name may be schema qualified: 'public.users' is quoted as
+ * "public"."users".  With more than one, each argument is one part of the name and may
+ * itself contain dots.
+ *
+ * @method quoteIdent
+ * @param {...string} name the name, or its parts
+ * @return {string} the quoted identifier
+ * @example
+ quoteIdent('public.users');        // "public"."users"
+ quoteIdent('public', 'my.table');  // "public"."my.table"
+ */
+function quoteIdent( name ) {
+    var parts = arguments.length > 1 ? Array.prototype.slice.call(arguments) : String(name).split('.');
+    return parts.map(function ( part ) {
+        return '"' + rejectNul(String(part), 'identifiers').replace(/"/g, '""') + '"';
+    }).join('.');
+}
+
+decaf.extend(exports, {
+    quoteLiteral : quoteLiteral,
+    quoteIdent   : quoteIdent
+});
@@ -0,0 +1,131 @@
+/** @module Explain */
+
+/*global exports */
+
+/**
+ * Building EXPLAIN statements and summarizing the plans they return.
+ */
+
+/**
+ * Prefix sql with EXPLAIN (FORMAT JSON), plus ANALYZE and BUFFERS if the options ask for them.
+ *
+ * @method explainQuery
+ * @param {string} sql the query to explain
+ * @param {object} options (optional) analyze, buffers
+ * @return {string} the EXPLAIN statement
+ */
+function explainQuery( sql, options ) {
+    var flags = [ 'FORMAT JSON' ];
+
+    options = options || {};
+    if ( options.analyze ) {
+        flags.push('ANALYZE');
+    }
+    if ( options.buffers ) {
+        flags.push('BUFFERS');
+    }
+    return 'EXPLAIN (' + flags.join(', ') + ') ' + sql;
+}
+
+/**
+ * Call fn with each node of a plan tree, parents before their children.
+ *
+ * @method walk
+ * @param {object} node plan node, e.g. the Plan member of EXPLAIN's output
+ * @param {function} fn called with each node
+ */
+function walk( node, fn ) {
+    fn(node);
+    decaf.each(node.Plans || [], function ( child ) {
+        walk(child, fn);
+    });
+}
+
+/**
+ * Names of the tables a plan scans.
+ *
+ * @method relations
+ * @param {object} plan plan tree
+ * @return {Array} distinct table names
+ */
+function relations( plan ) {
+    var names = [];
+    walk(plan, function ( node ) {
+        if ( node[ 'Relation Name' ] && names.indexOf(node[ 'Relation Name' ]) === -1 ) {
+            names.push(node[ 'Relation Name' ]);
+        }
+    });
+    return names;
+}
+
+/**
+ * Summarize a plan.
+ *
+ * - totalCost: the planner's estimated total cost
+ * - planningTime, executionTime: milliseconds, with ANALYZE (executionTime is Total Runtime before 9.4)
+ * - seqScans: sequential scans of tables with largeTable (default 10000) or more rows,
+ *   [ { relation, alias, tableRows, filter, cost } ]
+ * - misestimates: with ANALYZE, nodes whose actual row count was off from the estimate by a
+ *   factor of misestimate (default 10) or more, [ { node, relation, estimated, actual, factor } ]
+ *
+ * @method summarize
+ * @param {object} explained the object EXPLAIN (FORMAT JSON) returns, with Plan and timing members
+ * @param {object} tableRows estimated row count by table name
+ * @param {object} options (optional) largeTable, misestimate
+ * @return {object} { totalCost, planningTime, executionTime, seqScans, misestimates }
+ */
+function summarize( explained, tableRows, options ) {
+    options = options || {};
+    var largeTable = options.largeTable === undefined ? 10000 : options.largeTable,
+        misestimate = options.misestimate || 10,
+        summary = {
+            totalCost     : explained.Plan[ 'Total Cost' ],
+            planningTime  : explained[ 'Planning Time' ],
+            executionTime : explained[ 'Execution Time' ] === undefined ? explained[ 'Total Runtime' ] : explained[ 'Execution Time' ],
+            seqScans      : [],
+            misestimates  : []
+        };
+
+    walk(explained.Plan, function ( node ) {
+        var relation = node[ 'Relation Name' ],
+            estimated,
+            actual,
+            factor;
+
+        if ( node[ 'Node Type' ] === 'Seq Scan' && (tableRows[ relation ] || 0) >= largeTable ) {
+            summary.seqScans.push({
+                relation  : relation,
+                alias     : node.Alias,
+                tableRows : tableRows[ relation ],
+                filter    : node.Filter,
+                cost      : node[ 'Total Cost' ]
+            });
+        }
+        // Plan Rows and Actual Rows are per loop; nodes that never ran have no actual count
+        if ( node[ 'Actual Loops' ] ) {
+            estimated = node[ 'Plan Rows' ];
+            actual = node[ 'Actual Rows' ];
+            factor = Math.max(estimated, 1) / Math.max(actual, 1);
+            if ( factor < 1 ) {
+                factor = 1 / factor;
+            }
+            if ( factor >= misestimate ) {
+                summary.misestimates.push({
+                    node      : node[ 'Node Type' ],
+                    relation  : relation,
+                    estimated : estimated,
+                    actual    : actual,
+                    factor    : Math.round(factor * 10) / 10
+                });
+            }
+        }
+    });
+    return summary;
+}
+
+decaf.extend(exports, {
+    explainQuery : explainQuery,
+    walk         : walk,
+    relations    : relations,
+    summarize    : summarize
+});
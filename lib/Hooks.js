@@ -0,0 +1,191 @@
+/** @module Hooks */
+
+/*global exports, console */
+
+/**
+ * Instrumentation: event hooks, the slow query log and per request query counters.
+ */
+
+/**
+ * @private
+ *
+ * Per request counters keep at most this many distinct statements.
+ */
+var MAX_STATEMENTS = 1000;
+
+/**
+ * Handlers for the events a PosgreSQL instance emits:
+ *
+ * - query: before a statement runs { sql, params, thread }
+ * - queryEnd: after it succeeded { sql, params, thread, duration, rowCount }
+ * - error: after it failed { sql, params, thread, duration, error }
+ * - connect: a new connection was opened { url, thread, duration }
+ * - acquire: a connection was checked out of a pool { url, thread, duration }
+ *
+ * Durations are in milliseconds.  Handlers run in the thread that issued the query; errors
+ * they throw are logged and otherwise ignored.
+ *
+ * @class Hooks
+ * @constructor
+ */
+function Hooks() {
+    this.handlers = {
+        query    : [],
+        queryEnd : [],
+        error    : [],
+        connect  : [],
+        acquire  : []
+    };
+}
+
+decaf.extend(Hooks.prototype, {
+    /**
+     * @method on
+     * @param {string} name event name
+     * @param {function} handler called with the event
+     */
+    on   : function ( name, handler ) {
+        if ( !this.handlers[ name ] ) {
+            throw new Error('Hooks: unknown event ' + name);
+        }
+        // replaced rather than changed, so emit() can run without a lock
+        this.handlers[ name ] = this.handlers[ name ].concat([ handler ]);
+    },
+    /**
+     * @method off
+     * @param {string} name event name
+     * @param {function} handler handler passed to on()
+     */
+    off  : function ( name, handler ) {
+        if ( this.handlers[ name ] ) {
+            this.handlers[ name ] = this.handlers[ name ].filter(function ( h ) {
+                return h !== handler;
+            });
+        }
+    },
+    /**
+     * @method emit
+     * @param {string} name event name
+     * @param {object} event passed to the handlers
+     */
+    emit : function ( name, event ) {
+        decaf.each(this.handlers[ name ], function ( handler ) {
+            try {
+                handler(event);
+            }
+            catch ( e ) {
+                console.log('Hooks: ' + name + ' handler threw ' + e);
+            }
+        });
+    }
+});
+
+/** @private */
+function consoleLog( message ) {
+    console.log(message);
+}
+
+/**
+ * Create a queryEnd and error handler that logs statements that took threshold milliseconds or more.
+ *
+ * @method slowQueryLogger
+ * @param {int} threshold milliseconds
+ * @param {function} log (optional) called with the message and the event, console.log by default
+ * @return {function} the handler
+ */
+function slowQueryLogger( threshold, log ) {
+    log = log || consoleLog;
+    return function ( event ) {
+        if ( event.duration >= threshold ) {
+            log('PosgreSQL: slow query (' + event.duration + 'ms' +
+                (event.error ? ', failed' : (event.rowCount === undefined ? '' : ', ' + event.rowCount + ' rows')) +
+                '): ' + event.sql, event);
+        }
+    };
+}
+
+/**
+ * Create a function that logs the statements of a request's QueryCounter summary that ran
+ * more than threshold times.
+ *
+ * @method repeatedQueryLogger
+ * @param {int} threshold number of times
+ * @param {function} log (optional) called with the message and the statement { sql, count, duration }, console.log by default
+ * @return {function} called with a QueryCounter summary
+ */
+function repeatedQueryLogger( threshold, log ) {
+    log = log || consoleLog;
+    return function ( summary ) {
+        decaf.each(summary.statements, function ( statement ) {
+            if ( statement.count > threshold ) {
+                log('PosgreSQL: query ran ' + statement.count + ' times in one request (' +
+                    statement.duration + 'ms): ' + statement.sql, statement);
+            }
+        });
+    };
+}
+
+/**
+ * Counts the statements a thread ran during a request, in total and by SQL text, to spot
+ * requests that run too many queries, or the same query over and over (N+1).
+ *
+ * @class QueryCounter
+ * @constructor
+ */
+function QueryCounter() {
+    this.queries = 0;
+    this.errors = 0;
+    this.duration = 0;
+    this.statements = {};   // sql => { sql, count, duration }
+    this.distinct = 0;
+}
+
+decaf.extend(QueryCounter.prototype, {
+    /**
+     * @method add
+     * @param {object} event queryEnd or error event
+     */
+    add     : function ( event ) {
+        var statement = this.statements[ event.sql ];
+
+        this.queries++;
+        this.duration += event.duration;
+        if ( event.error ) {
+            this.errors++;
+        }
+        if ( !statement && this.distinct < MAX_STATEMENTS ) {
+            statement = this.statements[ event.sql ] = { sql : event.sql, count : 0, duration : 0 };
+            this.distinct++;
+        }
+        if ( statement ) {
+            statement.count++;
+            statement.duration += event.duration;
+        }
+    },
+    /**
+     * @method summary
+     * @return {object} { queries, errors, duration, statements : [ { sql, count, duration } ] most often run first }
+     */
+    summary : function () {
+        var statements = [];
+        decaf.each(this.statements, function ( statement ) {
+            statements.push(decaf.extend({}, statement));
+        });
+        statements.sort(function ( a, b ) {
+            return b.count - a.count;
+        });
+        return {
+            queries    : this.queries,
+            errors     : this.errors,
+            duration   : this.duration,
+            statements : statements
+        };
+    }
+});
+
+decaf.extend(exports, {
+    Hooks               : Hooks,
+    QueryCounter        : QueryCounter,
+    slowQueryLogger     : slowQueryLogger,
+    repeatedQueryLogger : repeatedQueryLogger
+});
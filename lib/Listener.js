@@ -0,0 +1,215 @@
+/** @module Listener */
+
+/*global java, require, exports, sync */
+
+var {Thread} = require('Threads'),
+    {quoteIdent} = require('./Escape');
+
+/** @private */
+function closeQuietly( o ) {
+    try {
+        if ( o ) {
+            o.close();
+        }
+    }
+    catch ( e ) {
+
+    }
+}
+
+/**
+ * Receives LISTEN/NOTIFY notifications for a database.
+ *
+ * The listener has its own connection, outside the connection pool, and a background
+ * thread that polls it for notifications and calls the handlers.  The driver only reads
+ * notifications when it talks to the server, so the thread issues a trivial query every
+ * pollInterval milliseconds.
+ *
+ * LISTEN and UNLISTEN are issued by the background thread, so they take effect on its
+ * next poll.  If the connection fails, the thread reconnects and listens again to all
+ * channels that have handlers.
+ *
+ * @class Listener
+ * @param {string} url JDBC url
+ * @param {java.util.Properties} properties connection properties (user, password...)
+ * @param {object} options pollInterval (default 500) and reconnectDelay (default 1000) in milliseconds,
+ * and log, a function called with a message and the error when a handler throws, and when the
+ * connection fails (once until it is back); by default nothing is logged
+ * @constructor
+ */
+function Listener( url, properties, options ) {
+    options = options || {};
+    this.url = url;
+    this.properties = properties;
+    this.pollInterval = options.pollInterval || 500;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.log = options.log || function () {
+        };
+    this.handlers = {};     // channel => [ handler, ... ]
+    this.running = false;
+
+    this.listen = sync(this.listen, this);
+    this.unlisten = sync(this.unlisten, this);
+    this.channels = sync(this.channels, this);
+    this.getHandlers = sync(this.getHandlers, this);
+}
+
+decaf.extend(Listener.prototype, {
+    /**
+     * Add a handler for a channel, starting the background thread if necessary.
+     *
+     * @method listen
+     * @param {string} channel channel name
+     * @param {function} handler called with { channel, payload, pid } for each notification
+     */
+    listen      : function ( channel, handler ) {
+        (this.handlers[ channel ] = this.handlers[ channel ] || []).push(handler);
+        if ( !this.running ) {
+            this.running = true;
+            var me = this;
+            new Thread(function () {
+                me.run();
+            }).start();
+        }
+    },
+    /**
+     * Remove a handler, or all handlers, for a channel.  The background thread exits once
+     * no channel has handlers.
+     *
+     * @method unlisten
+     * @param {string} channel channel name
+     * @param {function} handler (optional) handler to remove, all handlers if omitted
+     */
+    unlisten    : function ( channel, handler ) {
+        var handlers = this.handlers[ channel ];
+        if ( handlers && handler ) {
+            handlers = handlers.filter(function ( h ) {
+                return h !== handler;
+            });
+        }
+        if ( handlers && handlers.length && handler ) {
+            this.handlers[ channel ] = handlers;
+        }
+        else {
+            delete this.handlers[ channel ];
+        }
+    },
+    /**
+     * Remove all handlers and stop the background thread.
+     *
+     * @method stop
+     */
+    stop        : function () {
+        var me = this;
+        decaf.each(this.channels(), function ( channel ) {
+            me.unlisten(channel);
+        });
+    },
+    /** @private */
+    channels    : function () {
+        var channels = [];
+        for ( var channel in this.handlers ) {
+            channels.push(channel);
+        }
+        if ( !channels.length ) {
+            this.running = false;
+        }
+        return channels;
+    },
+    /** @private */
+    getHandlers : function ( channel ) {
+        return (this.handlers[ channel ] || []).slice(0);
+    },
+    /**
+     * @private
+     *
+     * LISTEN to channels that got handlers and UNLISTEN from channels that lost them.
+     */
+    subscribe   : function ( statement, channels, subscribed ) {
+        var wanted = {};
+
+        decaf.each(channels, function ( channel ) {
+            wanted[ channel ] = true;
+            if ( !subscribed[ channel ] ) {
+                statement.execute('LISTEN ' + quoteIdent(channel));
+                subscribed[ channel ] = true;
+            }
+        });
+        for ( var channel in subscribed ) {
+            if ( !wanted[ channel ] ) {
+                statement.execute('UNLISTEN ' + quoteIdent(channel));
+                delete subscribed[ channel ];
+            }
+        }
+    },
+    /** @private */
+    dispatch    : function ( notification ) {
+        var event = {
+            channel : String(notification.getName()),
+            payload : String(notification.getParameter()),
+            pid     : Number(notification.getPID())
+        };
+        var me = this;
+        decaf.each(this.getHandlers(event.channel), function ( handler ) {
+            try {
+                handler(event);
+            }
+            catch ( e ) {
+                me.log('Listener: handler for ' + event.channel + ' threw ' + e, e);
+            }
+        });
+    },
+    /**
+     * @private
+     *
+     * Background thread main loop.  The connection is only used by this thread.
+     */
+    run         : function () {
+        var connection = null,
+            subscribed = {},    // channels LISTENed to on the connection
+            failing = false,    // the connection failed and hasn't been back since
+            channels,
+            statement,
+            notifications,
+            i;
+
+        while ( (channels = this.channels()).length ) {
+            statement = null;
+            try {
+                if ( !connection ) {
+                    java.lang.Class.forName('org.postgresql.Driver');
+                    connection = java.sql.DriverManager.getConnection(this.url, this.properties);
+                }
+                statement = connection.createStatement();
+                this.subscribe(statement, channels, subscribed);
+                statement.execute('SELECT 1');
+                if ( failing ) {
+                    this.log('Listener: reconnected');
+                    failing = false;
+                }
+                notifications = connection.getNotifications();
+                for ( i = 0; notifications && i < notifications.length; i++ ) {
+                    this.dispatch(notifications[ i ]);
+                }
+                closeQuietly(statement);
+                java.lang.Thread.sleep(this.pollInterval);
+            }
+            catch ( e ) {
+                if ( !failing ) {
+                    this.log('Listener: ' + e + ', reconnecting', e);
+                    failing = true;
+                }
+                closeQuietly(statement);
+                closeQuietly(connection);
+                connection = null;
+                subscribed = {};
+                java.lang.Thread.sleep(this.reconnectDelay);
+            }
+        }
+        closeQuietly(connection);
+    }
+});
+
+decaf.extend(exports, {
+    Listener : Listener
+});
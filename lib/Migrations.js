@@ -0,0 +1,382 @@
+/** @module Migrations */
+
+/*global java, require, exports, toString */
+
+var {Schema} = require('./Schema'),
+    {quoteIdent} = require('./Escape');
+
+/** @private */
+function isArray( o ) {
+    return toString.apply(o) === '[object Array]';
+}
+
+/** @private */
+function readFile( file ) {
+    return String(new java.lang.String(java.nio.file.Files.readAllBytes(file.toPath()), java.nio.charset.StandardCharsets.UTF_8));
+}
+
+/**
+ * @private
+ *
+ * Order versions numerically, without converting them to numbers: timestamps are too big
+ * to be represented exactly.
+ */
+function compareVersions( a, b ) {
+    a = a.replace(/^0+(?=\d)/, '');
+    b = b.replace(/^0+(?=\d)/, '');
+    if ( a.length !== b.length ) {
+        return a.length - b.length;
+    }
+    return a < b ? -1 : (a > b ? 1 : 0);
+}
+
+/**
+ * @private
+ *
+ * Migration file names: version_name.js, version_name.up.sql and version_name.down.sql
+ */
+var fileName = /^(\d+)_(.+?)(\.js|\.up\.sql|\.down\.sql)$/;
+
+/**
+ * Runs versioned migrations, recording the ones applied in a bookkeeping table.
+ *
+ * A migration has a version (digits; a timestamp such as 20261019120000 is typical), a name,
+ * and up and down parts that apply and undo it.  Migrations run in version order.  Each part
+ * is a function called with the PosgreSQL instance, a string of SQL (which may contain more
+ * than one statement), or an array of them.
+ *
+ * Migrations are read from the directory option, if given, and can be added with add().  In
+ * the directory:
+ *
+ * - version_name.js is a module exporting up and down
+ * - version_name.up.sql and version_name.down.sql hold SQL
+ *
+ * Each migration runs in its own transaction, with its bookkeeping row, so a failed
+ * migration leaves nothing behind.  migrate(), rollback() and redo() hold an advisory lock
+ * while they run, so processes starting at the same time apply each migration once.
+ *
+ * Options:
+ *
+ * - directory {string} directory to read migrations from
+ * - table {string} bookkeeping table (default schema_migrations), created when needed
+ * - log {function} called with a message for each migration run (by default nothing is logged)
+ *
+ * @class Migrator
+ * @param {PosgreSQL} sql the database to migrate
+ * @param {object} options (optional) options
+ * @constructor
+ * @example
+ var migrator = new Migrator(SQL, { directory : 'migrations' });
+ migrator.migrate();
+ */
+function Migrator( sql, options ) {
+    options = options || {};
+    this.sql = sql;
+    this.directory = options.directory;
+    this.table = options.table || 'schema_migrations';
+    this.log = options.log || function () {
+        };
+    this.added = [];
+}
+
+decaf.extend(Migrator.prototype, {
+    /**
+     * Add a migration.
+     *
+     * @method add
+     * @param {object} migration { version, name, up, down }
+     * @chainable
+     */
+    add      : function ( migration ) {
+        if ( !/^\d+$/.test(String(migration.version)) ) {
+            throw new Error('Migrator: invalid migration version ' + migration.version);
+        }
+        this.added.push(decaf.extend({}, migration, { version : String(migration.version) }));
+        return this;
+    },
+    /**
+     * Get all migrations, from the directory and added, in version order.
+     *
+     * @method migrations
+     * @return {Array} [ { version, name, up, down } ]
+     */
+    migrations : function () {
+        var byVersion = {},
+            migrations = [],
+            files,
+            i;
+
+        function migration( version, name, source ) {
+            var m = byVersion[ version ];
+            if ( !m ) {
+                m = byVersion[ version ] = { version : version, name : name };
+                migrations.push(m);
+            }
+            else if ( m.name !== name || m.source !== source || source !== 'sql' ) {
+                // only the .up.sql and .down.sql files of one migration share a version
+                throw new Error('Migrator: more than one migration with version ' + version);
+            }
+            m.source = source;
+            return m;
+        }
+
+        if ( this.directory ) {
+            files = new java.io.File(this.directory).listFiles();
+            if ( files === null ) {
+                throw new Error('Migrator: can not read directory ' + this.directory);
+            }
+            for ( i = 0; i < files.length; i++ ) {
+                var file = files[ i ],
+                    match = fileName.exec(String(file.getName())),
+                    m;
+
+                if ( !match ) {
+                    continue;
+                }
+                if ( match[ 3 ] === '.js' ) {
+                    var exported = require(String(file.getCanonicalPath()));
+                    m = migration(match[ 1 ], match[ 2 ], 'js');
+                    m.up = exported.up;
+                    m.down = exported.down;
+                }
+                else {
+                    m = migration(match[ 1 ], match[ 2 ], 'sql');
+                    m[ match[ 3 ] === '.up.sql' ? 'up' : 'down' ] = readFile(file);
+                }
+            }
+        }
+        decaf.each(this.added, function ( added ) {
+            decaf.extend(migration(added.version, added.name, 'added'), added);
+        });
+        migrations.sort(function ( a, b ) {
+            return compareVersions(a.version, b.version);
+        });
+        return migrations.map(function ( m ) {
+            return { version : m.version, name : m.name, up : m.up, down : m.down };
+        });
+    },
+    /**
+     * Get the status of each migration, and of applied migrations that are missing.
+     *
+     * @method status
+     * @return {Array} [ { version, name, applied : boolean, appliedAt : Date or null, missing : true if applied but not found } ] in version order
+     */
+    status   : function () {
+        var applied = this.applied(),
+            status = this.migrations().map(function ( migration ) {
+                var row = applied[ migration.version ];
+                delete applied[ migration.version ];
+                return {
+                    version   : migration.version,
+                    name      : migration.name,
+                    applied   : !!row,
+                    appliedAt : row ? row.applied_at : null
+                };
+            });
+
+        decaf.each(applied, function ( row ) {
+            status.push({ version : row.version, name : row.name, applied : true, appliedAt : row.applied_at, missing : true });
+        });
+        return status.sort(function ( a, b ) {
+            return compareVersions(a.version, b.version);
+        });
+    },
+    /**
+     * Apply the migrations that haven't been, in version order.
+     *
+     * @method migrate
+     * @param {string} target (optional) version to migrate up to, all by default
+     * @return {Array} [ { version, name } ] migrations applied
+     */
+    migrate  : function ( target ) {
+        var me = this;
+
+        return this.locked(function () {
+            var applied = me.applied(),
+                done = [];
+
+            decaf.each(me.migrations(), function ( migration ) {
+                if ( target !== undefined && compareVersions(migration.version, String(target)) > 0 ) {
+                    return false;
+                }
+                if ( !applied[ migration.version ] ) {
+                    me.run(migration, 'up');
+                    done.push({ version : migration.version, name : migration.name });
+                }
+            });
+            return done;
+        });
+    },
+    /**
+     * Undo the most recently applied migrations, most recent first.
+     *
+     * @method rollback
+     * @param {int} steps (optional) number of migrations to undo (default 1)
+     * @return {Array} [ { version, name } ] migrations undone
+     */
+    rollback : function ( steps ) {
+        var me = this;
+
+        return this.locked(function () {
+            return me.undo(steps);
+        });
+    },
+    /**
+     * Undo the most recently applied migrations and apply them again, e.g. while writing one.
+     *
+     * @method redo
+     * @param {int} steps (optional) number of migrations to redo (default 1)
+     * @return {Array} [ { version, name } ] migrations redone
+     */
+    redo     : function ( steps ) {
+        var me = this;
+
+        return this.locked(function () {
+            var undone = me.undo(steps).reverse(),
+                byVersion = {};
+
+            decaf.each(me.migrations(), function ( migration ) {
+                byVersion[ migration.version ] = migration;
+            });
+            decaf.each(undone, function ( migration ) {
+                me.run(byVersion[ migration.version ], 'up');
+            });
+            return undone;
+        });
+    },
+    /**
+     * Write a migration that makes a table match its Schema definition, in the directory
+     * option.  See Schema.diff() for what is compared; the table is read from this Migrator's
+     * database.  The generated file should be reviewed: a renamed field comes out as a
+     * dropped and an added column unless it has renamedFrom.
+     *
+     * @method generate
+     * @param {string} schemaName name of the schema
+     * @param {string} name (optional) migration name (default change_ and the table name)
+     * @return {string} path of the file written, or null if the table matches the schema
+     */
+    generate : function ( schemaName, name ) {
+        var diff = Schema.diff(schemaName, this.sql),
+            version = new java.text.SimpleDateFormat('yyyyMMddHHmmss'),
+            file;
+
+        if ( !this.directory ) {
+            throw new Error('Migrator: generate requires the directory option');
+        }
+        if ( !diff.up.length ) {
+            return null;
+        }
+        version.setTimeZone(java.util.TimeZone.getTimeZone('UTC'));
+        name = String(name || 'change_' + schemaName).replace(/\W+/g, '_');
+        file = new java.io.File(this.directory, version.format(new java.util.Date()) + '_' + name + '.js');
+
+        function statements( sql ) {
+            return '[\n' + sql.map(function ( statement ) {
+                    return '    ' + JSON.stringify(statement);
+                }).join(',\n') + '\n]';
+        }
+
+        java.nio.file.Files.write(file.toPath(), new java.lang.String([
+            '// Generated from the difference between the ' + schemaName + ' schema and the database table.',
+            '// Review before applying: a renamed field without renamedFrom comes out as a dropped and an added column.',
+            '',
+            'exports.up = ' + statements(diff.up) + ';',
+            '',
+            'exports.down = ' + statements(diff.down) + ';',
+            ''
+        ].join('\n')).getBytes(java.nio.charset.StandardCharsets.UTF_8));
+        return String(file.getPath());
+    },
+    /** @private */
+    locked   : function ( fn ) {
+        var me = this;
+        return this.sql.withAdvisoryLock('Migrator ' + this.table, function () {
+            me.ensureTable();
+            return fn();
+        });
+    },
+    /**
+     * @private
+     *
+     * Undo the most recently applied migrations, with the lock held.
+     */
+    undo     : function ( steps ) {
+        var me = this,
+            applied = this.applied(),
+            byVersion = {},
+            versions = Object.keys(applied).sort(compareVersions).reverse().slice(0, steps === undefined ? 1 : steps);
+
+        decaf.each(this.migrations(), function ( migration ) {
+            byVersion[ migration.version ] = migration;
+        });
+        return versions.map(function ( version ) {
+            var migration = byVersion[ version ];
+            if ( !migration ) {
+                throw new Error('Migrator: can not roll back migration ' + version + ' ' + applied[ version ].name + ', it is missing');
+            }
+            me.run(migration, 'down');
+            return { version : migration.version, name : migration.name };
+        });
+    },
+    /** @private */
+    ensureTable : function () {
+        this.sql.update([
+            'CREATE TABLE IF NOT EXISTS ' + quoteIdent(this.table) + ' (',
+            '    version    varchar(255) PRIMARY KEY,',
+            '    name       text NOT NULL,',
+            '    applied_at timestamptz NOT NULL DEFAULT now()',
+            ')'
+        ]);
+    },
+    /**
+     * @private
+     *
+     * Applied migrations' rows by version
+     */
+    applied  : function () {
+        var applied = {};
+        if ( !this.sql.getScalar('SELECT count(*) FROM information_schema.tables WHERE table_name = $1 AND table_schema = ANY (current_schemas(false))', [ this.table ], { primary : true }) ) {
+            // nothing has been migrated yet, status() doesn't create the table
+            return applied;
+        }
+        decaf.each(this.sql.getDataRows('SELECT version, name, applied_at FROM ' + quoteIdent(this.table), undefined, { primary : true }), function ( row ) {
+            applied[ row.version ] = row;
+        });
+        return applied;
+    },
+    /**
+     * @private
+     *
+     * Run a migration's up or down part and record it, in a transaction.
+     */
+    run      : function ( migration, direction ) {
+        var sql = this.sql,
+            table = quoteIdent(this.table),
+            part = migration[ direction ];
+
+        if ( part === undefined || part === null ) {
+            throw new Error('Migrator: migration ' + migration.version + ' ' + migration.name + ' has no ' + direction);
+        }
+        this.log('Migrator: ' + (direction === 'up' ? 'applying ' : 'rolling back ') + migration.version + ' ' + migration.name);
+        sql.transaction(function () {
+            if ( typeof part === 'function' ) {
+                part(sql);
+            }
+            else {
+                decaf.each(isArray(part) ? part : [ part ], function ( statement ) {
+                    sql.execute(statement);
+                });
+            }
+            if ( direction === 'up' ) {
+                sql.update('INSERT INTO ' + table + ' (version, name) VALUES ($1, $2)', [ migration.version, migration.name ]);
+            }
+            else {
+                sql.update('DELETE FROM ' + table + ' WHERE version = $1', [ migration.version ]);
+            }
+        }, { retries : 0 });
+    }
+});
+
+decaf.extend(exports, {
+    Migrator : Migrator
+});
@@ -0,0 +1,457 @@
+/** @module Pool */
+
+/*global java, require, exports, sync */
+
+var {Semaphore, TimeUnit} = java.util.concurrent,
+    {AtomicLong} = java.util.concurrent.atomic,
+    {StatementCache} = require('./StatementCache');
+
+/**
+ * @private
+ *
+ * One pool per database and connection properties, shared by every PosgreSQL instance configured for it.
+ */
+var pools = {};
+
+var driverLoaded = false;
+
+/** @private */
+function now() {
+    return java.lang.System.currentTimeMillis();
+}
+
+/** @private */
+function closeQuietly( connection ) {
+    try {
+        connection.close();
+    }
+    catch ( e ) {
+
+    }
+}
+
+/**
+ * A pool of connections to a single database, with the same connection properties.
+ *
+ * Config options:
+ *
+ * - min {int} number of connections opened when the pool is created, and kept open even when idle too long (default 0)
+ * - max {int} maximum number of connections open at once (default 10)
+ * - idleTimeout {int} milliseconds an idle connection is kept before it is closed (default 60000)
+ * - acquireTimeout {int} milliseconds to wait for a free connection before throwing (default 30000)
+ * - validationQuery {string} query run to check a connection on checkout, otherwise isValid() is used
+ * - statementCacheSize {int} number of prepared statements cached per connection, 0 for none (default 100)
+ *
+ * Idle connections are closed as the pool is used; there is no background reaper thread.
+ * Connections are returned to the pool with their session state reset: read/write, and
+ * the transaction isolation they were opened with (see setIsolation()).
+ *
+ * @class Pool
+ * @param {object} connect { url : JDBC url, properties : java.util.Properties, key : identifies url and properties } from Config.resolve()
+ * @param {object} config pool options
+ * @constructor
+ */
+function Pool( connect, config ) {
+    config = config || {};
+    this.url = connect.url;
+    this.properties = connect.properties;
+    this.key = connect.key;
+    this.min = config.min || 0;
+    this.max = config.max || 10;
+    this.idleTimeout = config.idleTimeout === undefined ? 60000 : config.idleTimeout;
+    this.acquireTimeout = config.acquireTimeout === undefined ? 30000 : config.acquireTimeout;
+    this.validationQuery = config.validationQuery;
+    this.statementCacheSize = config.statementCacheSize === undefined ? 100 : config.statementCacheSize;
+
+    this.idle = [];         // { connection, released } most recently released last
+    this.total = 0;         // open connections, idle or in use
+    this.refs = 0;          // PosgreSQL instances using this pool
+    this.closed = false;
+    this.permits = new Semaphore(this.max, true);
+    this.statementCaches = java.util.Collections.synchronizedMap(new java.util.IdentityHashMap());
+    this.statementGeneration = 0;   // bumped to invalidate the statement caches
+    this.isolations = java.util.Collections.synchronizedMap(new java.util.IdentityHashMap());    // connection => isolation to restore
+
+    // statistics, see stats()
+    this.created = 0;
+    this.destroyed = 0;
+    this.acquired = 0;
+    this.timeouts = 0;
+    this.waitTime = 0;
+    this.maxWait = 0;
+    this.statementCounters = {
+        hits      : new AtomicLong(),
+        misses    : new AtomicLong(),
+        evictions : new AtomicLong()
+    };
+
+    // synchronized access to the idle list and counters
+    this.popIdle = sync(this.popIdle, this);
+    this.pushIdle = sync(this.pushIdle, this);
+    this.count = sync(this.count, this);
+    this.evict = sync(this.evict, this);
+    this.waited = sync(this.waited, this);
+    this.stats = sync(this.stats, this);
+    this.invalidateStatements = sync(this.invalidateStatements, this);
+}
+
+/**
+ * Get the pool for a database and connection properties, creating it if necessary.
+ *
+ * Each call adds a reference to the pool; call pool.unref() when done with it.
+ *
+ * @method get
+ * @static
+ * @param {object} connect { url, properties, key } from Config.resolve()
+ * @param {object} config pool options, only used if the pool is created
+ * @return {Pool} the pool
+ */
+Pool.get = function ( connect, config ) {
+    var got = getPool(connect, config);
+    if ( got.created ) {
+        got.pool.fill();
+    }
+    return got.pool;
+};
+
+/** @private */
+var getPool = sync(function ( connect, config ) {
+    var pool = pools[ connect.key ],
+        created = false;
+
+    if ( !pool || pool.closed ) {
+        pool = pools[ connect.key ] = new Pool(connect, config);
+        created = true;
+    }
+    pool.refs++;
+    return { pool : pool, created : created };
+}, pools);
+
+/** @private */
+var forget = sync(function ( pool ) {
+    if ( pools[ pool.key ] === pool ) {
+        delete pools[ pool.key ];
+    }
+}, pools);
+
+decaf.extend(Pool.prototype, {
+    /** @private */
+    popIdle  : function () {
+        var entry = this.idle.pop();
+        return entry ? entry.connection : null;
+    },
+    /** @private */
+    pushIdle : function ( connection ) {
+        if ( this.closed ) {
+            return false;
+        }
+        this.idle.push({ connection : connection, released : now() });
+        return true;
+    },
+    /** @private */
+    count    : function ( n ) {
+        this.total += n;
+        if ( n > 0 ) {
+            this.created += n;
+        }
+        else {
+            this.destroyed -= n;
+        }
+    },
+    /** @private */
+    waited   : function ( ms, acquired ) {
+        if ( acquired ) {
+            this.acquired++;
+            this.waitTime += ms;
+            this.maxWait = Math.max(this.maxWait, ms);
+        }
+        else {
+            this.timeouts++;
+        }
+    },
+    /**
+     * Get the pool's counters.
+     *
+     * @method stats
+     * @return {object} { url, max, total, idle, inUse, waiting, created, destroyed, acquired, timeouts, waitTime : { total, max, average }, statements : { cacheSize, hits, misses, evictions, hitRate } }
+     */
+    stats    : function () {
+        var hits = Number(this.statementCounters.hits.get()),
+            misses = Number(this.statementCounters.misses.get());
+
+        return {
+            url       : this.url,
+            max       : this.max,
+            total     : this.total,
+            idle      : this.idle.length,
+            inUse     : this.total - this.idle.length,
+            waiting   : this.permits.getQueueLength(),
+            created   : this.created,
+            destroyed : this.destroyed,
+            acquired  : this.acquired,
+            timeouts  : this.timeouts,
+            waitTime  : {
+                total   : this.waitTime,
+                max     : this.maxWait,
+                average : this.acquired ? Math.round(this.waitTime / this.acquired) : 0
+            },
+            statements : {
+                cacheSize : this.statementCacheSize,
+                hits      : hits,
+                misses    : misses,
+                evictions : Number(this.statementCounters.evictions.get()),
+                hitRate   : hits + misses ? hits / (hits + misses) : 0
+            }
+        };
+    },
+    /**
+     * Get the prepared statement cache of a connection checked out of this pool.
+     *
+     * @method statementCache
+     * @param {java.sql.Connection} connection connection from acquire()
+     * @return {StatementCache} the cache, or null if statementCacheSize is 0
+     */
+    statementCache : function ( connection ) {
+        var cache;
+
+        if ( !this.statementCacheSize ) {
+            return null;
+        }
+        cache = this.statementCaches.get(connection);
+        if ( !cache ) {
+            cache = new StatementCache(connection, this);
+            this.statementCaches.put(connection, cache);
+        }
+        return cache;
+    },
+    /**
+     * Drop the prepared statements cached for all connections, after the schema changed.
+     * Each connection's cache is cleared the next time it is used.
+     *
+     * @method invalidateStatements
+     */
+    invalidateStatements : function () {
+        this.statementGeneration++;
+    },
+    /**
+     * Set the transaction isolation of a connection checked out of this pool.  The level the
+     * connection had before is restored by restoreIsolation(), or when it is released.
+     *
+     * @method setIsolation
+     * @param {java.sql.Connection} connection connection from acquire()
+     * @param {int} level java.sql.Connection.TRANSACTION_* level
+     */
+    setIsolation : function ( connection, level ) {
+        if ( !this.isolations.containsKey(connection) ) {
+            this.isolations.put(connection, connection.getTransactionIsolation());
+        }
+        connection.setTransactionIsolation(level);
+    },
+    /**
+     * Restore the transaction isolation a connection had before setIsolation().
+     *
+     * @method restoreIsolation
+     * @param {java.sql.Connection} connection connection from acquire()
+     */
+    restoreIsolation : function ( connection ) {
+        var level = this.isolations.remove(connection);
+        if ( level !== null ) {
+            connection.setTransactionIsolation(level);
+        }
+    },
+    /**
+     * Open connections until there are min, when the pool is created.  If the database can't
+     * be reached, connections are opened as they are needed instead.
+     *
+     * @method fill
+     */
+    fill     : function () {
+        var connection;
+
+        try {
+            while ( this.total < this.min && !this.closed ) {
+                connection = this.create();
+                if ( !this.pushIdle(connection) ) {
+                    this.destroyConnection(connection);
+                }
+            }
+        }
+        catch ( e ) {
+
+        }
+    },
+    /**
+     * Close connections that have been idle longer than idleTimeout, keeping at least min open.
+     *
+     * @method evict
+     */
+    evict    : function () {
+        var expired = now() - this.idleTimeout,
+            connection;
+
+        // the idle list is ordered by release time, oldest first
+        while ( this.idle.length && this.total > this.min && this.idle[ 0 ].released < expired ) {
+            connection = this.idle.shift().connection;
+            this.statementCaches.remove(connection);
+            this.isolations.remove(connection);
+            closeQuietly(connection);
+            this.total--;
+            this.destroyed++;
+        }
+    },
+    /** @private */
+    create   : function ( created ) {
+        if ( !driverLoaded ) {
+            java.lang.Class.forName('org.postgresql.Driver');
+            driverLoaded = true;
+        }
+        var start = now(),
+            connection = java.sql.DriverManager.getConnection(this.url, this.properties);
+        this.count(1);
+        if ( created ) {
+            created(connection, now() - start);
+        }
+        return connection;
+    },
+    /** @private */
+    destroyConnection : function ( connection ) {
+        // closing the connection closes its statements
+        this.statementCaches.remove(connection);
+        this.isolations.remove(connection);
+        closeQuietly(connection);
+        this.count(-1);
+    },
+    /** @private */
+    validate : function ( connection ) {
+        try {
+            if ( connection.isClosed() ) {
+                return false;
+            }
+            if ( this.validationQuery ) {
+                var statement = connection.createStatement();
+                try {
+                    statement.execute(this.validationQuery);
+                }
+                finally {
+                    closeQuietly(statement);
+                }
+                return true;
+            }
+            return connection.isValid(5);
+        }
+        catch ( e ) {
+            return false;
+        }
+    },
+    /**
+     * Check a connection out of the pool.
+     *
+     * An idle connection is reused if it passes validation, otherwise a new connection
+     * is opened.  If max connections are already in use, waits up to acquireTimeout
+     * for one to be released.
+     *
+     * @method acquire
+     * @param {function} created (optional) called with the connection and the milliseconds it took to open, if a new one is opened
+     * @return {java.sql.Connection} connection
+     */
+    acquire  : function ( created ) {
+        if ( this.closed ) {
+            throw new Error('Pool: pool for ' + this.url + ' has been destroyed');
+        }
+        var start = now(),
+            acquired = this.permits.tryAcquire(this.acquireTimeout, TimeUnit.MILLISECONDS);
+
+        this.waited(now() - start, acquired);
+        if ( !acquired ) {
+            throw new Error('Pool: timed out after ' + this.acquireTimeout + 'ms waiting for a connection');
+        }
+        try {
+            this.evict();
+            var connection;
+            while ( (connection = this.popIdle()) ) {
+                if ( this.validate(connection) ) {
+                    return connection;
+                }
+                this.destroyConnection(connection);
+            }
+            return this.create(created);
+        }
+        catch ( e ) {
+            this.permits.release();
+            throw e;
+        }
+    },
+    /**
+     * Return a connection to the pool.
+     *
+     * Any open transaction is rolled back and the session state reset.  Broken connections
+     * are closed rather than pooled.
+     *
+     * @method release
+     * @param {java.sql.Connection} connection connection from acquire()
+     */
+    release  : function ( connection ) {
+        try {
+            if ( !connection.getAutoCommit() ) {
+                connection.rollback();
+                connection.setAutoCommit(true);
+            }
+            // reads leave the connection read only
+            connection.setReadOnly(false);
+            this.restoreIsolation(connection);
+            if ( !this.pushIdle(connection) ) {
+                this.destroyConnection(connection);
+            }
+        }
+        catch ( e ) {
+            this.destroyConnection(connection);
+        }
+        finally {
+            this.permits.release();
+        }
+        this.evict();
+    },
+    /**
+     * Close a connection checked out of the pool instead of returning it, e.g. because its
+     * session is in a state that can't be reset.
+     *
+     * @method discard
+     * @param {java.sql.Connection} connection connection from acquire()
+     */
+    discard  : function ( connection ) {
+        try {
+            this.destroyConnection(connection);
+        }
+        finally {
+            this.permits.release();
+        }
+    },
+    /**
+     * Drop a reference to the pool, closing it when no PosgreSQL instance uses it anymore.
+     *
+     * @method unref
+     */
+    unref    : function () {
+        if ( --this.refs <= 0 ) {
+            this.close();
+        }
+    },
+    /**
+     * Close all idle connections and refuse further checkouts.  Connections still in use
+     * are closed as they are released.
+     *
+     * @method close
+     */
+    close    : function () {
+        var connection;
+        this.closed = true;
+        while ( (connection = this.popIdle()) ) {
+            this.destroyConnection(connection);
+        }
+        forget(this);
+    }
+});
+
+decaf.extend(exports, {
+    Pool : Pool
+});
@@ -2,18 +2,21 @@
  * Created by mschwartz on 12/15/14.
  */
 
-/*global java, require, exports, sync */
+/*global java, require, exports, sync, console, JavaAdapter */
 
 var {Thread} = require('Threads'),
-    {DriverManager, Connection, PreparedStatement, ResultSet, Statement, Types} = java.sql,
-    // cache these types for speed:
-    {BIT, BOOLEAN} = Types,
-    {TINYINT, BIGINT, SMALLINT, INTEGER} = Types,
-    {REAL, FLOAT, DOUBLE, DECIMAL, NUMERIC} = Types,
-    {VARBINARY, BINARY, LONGVARBINARY, LONGVARCHAR, CHAR, VARCHAR, CLOB, OTHER} = Types,
-    {DATE, TIME, TIMESTAMP} = Types,
-    {NULL} = Types;
-;
+    {Pool} = require('./Pool'),
+    {fromException, sqlState, javaException, QueryCanceled, QueryTimeout, LockNotAvailable} = require('./Errors'),
+    Copy = require('./Copy'),
+    Config = require('./Config'),
+    {quoteLiteral, quoteIdent} = require('./Escape'),
+    {Listener} = require('./Listener'),
+    {Hooks, QueryCounter, slowQueryLogger, repeatedQueryLogger} = require('./Hooks'),
+    {Query} = require('./Query'),
+    Explain = require('./Explain'),
+    {registerType, typed, encodeCustom, getCalendar, formatDate, bindValue, readColumns, readRow} = require('./Types'),
+    {DriverManager, Connection, PreparedStatement, ResultSet, Statement} = java.sql,
+    {AtomicLong} = java.util.concurrent.atomic;
 
 /** @private */
 function isArray( o ) {
@@ -21,257 +24,1722 @@ function isArray( o ) {
 }
 
 /** @private */
-function addslashes( str ) {
-    return (str + '').replace(/([\\"'])/g, "\\$1").replace(/\0/g, "\\0");
+function now() {
+    return java.lang.System.currentTimeMillis();
 }
+
+/**
+ * @private
+ *
+ * Number of rows a query method's result stands for: an update count, the rows returned,
+ * or the rowCount member of an execute() result.
+ */
+function rowCount( result ) {
+    if ( typeof result === 'number' ) {
+        return result;
+    }
+    if ( isArray(result) ) {
+        return result.length;
+    }
+    return result && result.rowCount !== undefined ? result.rowCount : undefined;
+}
+
 /** @private */
-function decodeByteArray( bytes ) {
-    if ( !bytes ) {
-        return bytes;
+function closeQuietly( o ) {
+    try {
+        if ( o ) {
+            o.close();
+        }
+    }
+    catch ( e ) {
+
+    }
+}
+/**
+ * @private
+ *
+ * Rewrite the placeholders in a query to JDBC ? markers.
+ *
+ * If params is an array, placeholders are $1, $2, ... and refer to params[0], params[1], ...
+ * If params is an object, placeholders are :name and refer to params.name.
+ *
+ * String literals, quoted identifiers, dollar quoted strings, comments and :: casts are
+ * left alone.
+ *
+ * @return {object} { sql: rewritten query, values: values in ? marker order }
+ */
+function bindQuery( query, params ) {
+    var positional = isArray(params),
+        sql = '',
+        values = [],
+        len = query.length,
+        i = 0,
+        c, prev, end, match, rest;
+
+    function skipTo( j ) {
+        sql += query.substring(i, j);
+        i = j;
+    }
+
+    while ( i < len ) {
+        c = query.charAt(i);
+        prev = i ? query.charAt(i - 1) : '';
+        if ( c === "'" || c === '"' ) {
+            // E'...' strings may contain backslash escaped quotes
+            var escapes = c === "'" && (prev === 'E' || prev === 'e');
+            end = i + 1;
+            while ( end < len && query.charAt(end) !== c ) {
+                end += (escapes && query.charAt(end) === '\\') ? 2 : 1;
+            }
+            skipTo(Math.min(end + 1, len));
+        }
+        else if ( c === '-' && query.charAt(i + 1) === '-' ) {
+            end = query.indexOf('\n', i);
+            skipTo(end === -1 ? len : end);
+        }
+        else if ( c === '/' && query.charAt(i + 1) === '*' ) {
+            end = query.indexOf('*/', i + 2);
+            skipTo(end === -1 ? len : end + 2);
+        }
+        else if ( c === '$' && !/[\w$]/.test(prev) ) {
+            rest = query.substr(i);
+            if ( (match = /^\$(\d+)/.exec(rest)) ) {
+                if ( !positional ) {
+                    throw new Error('PosgreSQL: positional parameter ' + match[ 0 ] + ' requires an array of values');
+                }
+                var n = parseInt(match[ 1 ], 10);
+                if ( n < 1 || n > params.length ) {
+                    throw new Error('PosgreSQL: no value for parameter ' + match[ 0 ]);
+                }
+                values.push(params[ n - 1 ]);
+                sql += '?';
+                i += match[ 0 ].length;
+            }
+            else if ( (match = /^\$([A-Za-z_]\w*)?\$/.exec(rest)) ) {
+                // dollar quoted string, $$...$$ or $tag$...$tag$
+                end = query.indexOf(match[ 0 ], i + match[ 0 ].length);
+                skipTo(end === -1 ? len : end + match[ 0 ].length);
+            }
+            else {
+                skipTo(i + 1);
+            }
+        }
+        else if ( c === ':' && !positional && prev !== ':' && (match = /^:([A-Za-z_]\w*)/.exec(query.substr(i))) ) {
+            if ( !(match[ 1 ] in params) ) {
+                throw new Error('PosgreSQL: no value for parameter ' + match[ 0 ]);
+            }
+            values.push(params[ match[ 1 ] ]);
+            sql += '?';
+            i += match[ 0 ].length;
+        }
+        else {
+            skipTo(i + 1);
+        }
     }
-    return String(new java.lang.String(bytes));
+    return { sql : sql, values : values };
 }
 
-// implementation of connection pool
-// quite simple and just a few lines of JavaScript
-// TODO support pooling for multiple database connection types/URIs
+/**
+ * @private
+ *
+ * Create a statement to run query.
+ *
+ * Without params, a plain Statement is created.  With params, the query's placeholders
+ * are rewritten and a PreparedStatement is created with the values bound to it.
+ *
+ * keys is passed on to prepareStatement to have the driver return generated keys: true
+ * for all columns or an array of column names.
+ *
+ * query may be a Query, which carries its own params.
+ *
+ * If cache is passed, the PreparedStatement is taken from it, except with keys.  Pass the
+ * result to releaseStatement() when done.
+ *
+ * @return {object} { sql, params (the Query's, if query is one), values, statement, prepared, cache }
+ */
+function prepare( connection, query, params, options, keys, cache ) {
+    if ( query instanceof Query ) {
+        query = query.toSQL();
+        params = query.values;
+        query = query.text;
+    }
+    query = isArray(query) ? query.join('\n') : String(query);
+    if ( keys && (params === undefined || params === null) ) {
+        params = [];
+    }
+    if ( params === undefined || params === null ) {
+        return {
+            sql       : query,
+            params    : params,
+            statement : connection.createStatement(),
+            prepared  : false
+        };
+    }
 
-var pool = [];
+    var bound = bindQuery(query, params),
+        calendar = getCalendar(options),
+        prepared = {
+            sql       : query,
+            params    : params,
+            values    : bound.values,
+            jdbcSql   : bound.sql,
+            prepared  : true,
+            cache     : keys ? null : cache
+        };
 
-/** @private */
-var getConnection = sync(function ( url ) {
-    if ( pool.length ) {
-        return pool.pop();
+    prepared.statement = keys ? connection.prepareStatement(bound.sql, keys === true ? Statement.RETURN_GENERATED_KEYS : keys) :
+        (prepared.cache ? prepared.cache.take(bound.sql) : connection.prepareStatement(bound.sql));
+    try {
+        decaf.each(bound.values, function ( value, ndx ) {
+            bindValue(prepared.statement, ndx + 1, value, calendar);
+        });
+    }
+    catch ( e ) {
+        releaseStatement(prepared);
+        throw e;
+    }
+    return prepared;
+}
+
+/**
+ * @private
+ *
+ * Close the statement of a prepare() result, or return it to its cache.
+ */
+function releaseStatement( prepared ) {
+    if ( !prepared ) {
+        return;
+    }
+    if ( prepared.cache ) {
+        prepared.cache.release(prepared.jdbcSql, prepared.statement);
     }
     else {
-        java.lang.Class.forName('org.postgresql.Driver');
-        var conn = java.sql.DriverManager.getConnection(url);
-        //conn.setAutoCommit(false);
-        return conn;
+        closeQuietly(prepared.statement);
     }
-}, pool);
+}
+
+/**
+ * @private
+ *
+ * Statements that may change the schema, so cached prepared statements may be stale
+ */
+var ddl = /^\s*(ALTER|CREATE|DROP)\s/im;
+
+// connections are pooled per URL (see Pool.js).  A connection checked out by
+// a thread is remembered in thread.postgresql, keyed by PosgreSQL instance id,
+// and released back to its pool when the query is done or the request ends.
+// While a transaction is open the connection is pinned to the thread, so every
+// query the thread issues runs on it.
+//
+// With replicas, read queries check a connection out of a replica's pool and
+// return it as soon as they are done; it isn't remembered in the thread.
+
+var nextId = 1;
 
 /** @private */
-var releaseConnection = sync(function ( conn ) {
-    pool.push(conn);
-}, pool);
+function threadConnections( thread ) {
+    if ( !thread.postgresql ) {
+        thread.postgresql = {};
+        thread.on('endRequest', function () {
+            decaf.each(thread.postgresql, function ( state ) {
+                if ( state.connection && state.advisoryLocks ) {
+                    // session level advisory locks outlive the request otherwise
+                    try {
+                        var statement = state.connection.createStatement();
+                        try {
+                            statement.execute('SELECT pg_advisory_unlock_all()');
+                        }
+                        finally {
+                            closeQuietly(statement);
+                        }
+                    }
+                    catch ( e ) {
+                        // closing the session is the only other way to release them
+                        state.owner.discardConnection(state);
+                    }
+                }
+                state.advisoryLocks = 0;
+                if ( state.connection ) {
+                    // the pool rolls back a transaction left open
+                    state.pool.release(state.connection);
+                    state.connection = null;
+                }
+                state.pinned = 0;
+                state.transaction = 0;
+                state.wrote = false;
+                state.owner.requestEnded(state);
+                state.counter = new QueryCounter();
+            });
+        });
+    }
+    return thread.postgresql;
+}
+
+/**
+ * @private
+ *
+ * JDBC isolation levels by name
+ */
+var isolationLevels = {
+    'read uncommitted' : Connection.TRANSACTION_READ_UNCOMMITTED,
+    'read committed'   : Connection.TRANSACTION_READ_COMMITTED,
+    'repeatable read'  : Connection.TRANSACTION_REPEATABLE_READ,
+    'serializable'     : Connection.TRANSACTION_SERIALIZABLE
+};
+
+/**
+ * @private
+ *
+ * Convert an error thrown by executeBatch.  A BatchUpdateException carries the update
+ * counts of the entries that succeeded, so the failing entry is the one after them;
+ * the server's error is the next exception in the chain.
+ */
+function batchError( e, statements, query, paramSets ) {
+    var ex = javaException(e),
+        counts,
+        index,
+        error;
+
+    if ( !(ex instanceof java.sql.BatchUpdateException) ) {
+        return fromException(e, statements ? undefined : query);
+    }
+    counts = [];
+    for ( var i = 0, updateCounts = ex.getUpdateCounts(); i < updateCounts.length; i++ ) {
+        if ( updateCounts[ i ] === java.sql.Statement.EXECUTE_FAILED ) {
+            break;
+        }
+        counts.push(Number(updateCounts[ i ]));
+    }
+    index = counts.length;
+    error = fromException(ex.getNextException() || ex,
+        statements ? statements[ index ] : query,
+        statements ? undefined : paramSets[ index ]);
+    error.batchIndex = index;
+    error.updateCounts = counts;
+    return error;
+}
+
+/**
+ * @private
+ *
+ * Set the session's lock_timeout, in milliseconds, or back to its default if timeout is null.
+ * Inside a transaction, the setting is undone if the transaction (or savepoint) is rolled back.
+ */
+function setSessionTimeout( connection, name, timeout ) {
+    var statement = connection.createStatement();
+    try {
+        statement.execute('SET ' + name + ' = ' + (timeout === null ? 'DEFAULT' : Math.max(1, Math.round(timeout))));
+    }
+    finally {
+        closeQuietly(statement);
+    }
+}
+
+/**
+ * @private
+ *
+ * Stands in for the Statement of a COPY in run(): cancel() cancels what the connection is
+ * running, and setQueryTimeout() has the driver's timer cancel it after the timeout, as
+ * it does for statements.
+ */
+function CopyStatement( connection ) {
+    this.connection = connection;
+    this.timer = null;
+}
+
+decaf.extend(CopyStatement.prototype, {
+    cancel          : function () {
+        this.connection.cancelQuery();
+    },
+    setQueryTimeout : function ( seconds ) {
+        var connection = this.connection;
+
+        if ( this.timer ) {
+            this.timer.cancel();
+            this.timer = null;
+        }
+        if ( seconds > 0 ) {
+            this.timer = new JavaAdapter(java.util.TimerTask, {
+                run : function () {
+                    try {
+                        connection.cancelQuery();
+                    }
+                    catch ( ignore ) {
+
+                    }
+                }
+            });
+            connection.addTimerTask(this.timer, seconds * 1000);
+        }
+    }
+});
+
+/**
+ * @private
+ *
+ * Advisory lock key as bigint text: integers are used as they are, anything else is hashed
+ * (the first 64 bits of its MD5).
+ */
+function lockKey( key ) {
+    if ( typeof key === 'number' && key % 1 === 0 && Math.abs(key) <= 9007199254740991 ) {
+        return String(key);
+    }
+    var digest = java.security.MessageDigest.getInstance('MD5').digest(new java.lang.String(String(key)).getBytes('UTF-8'));
+    return String(new java.math.BigInteger(java.util.Arrays.copyOf(digest, 8)).toString());
+}
+
+/**
+ * @private
+ *
+ * Probe a server through its pool, see healthCheck().
+ */
+function probe( pool ) {
+    var result = { ok : false, url : pool.url },
+        connection = null,
+        statement = null,
+        resultSet,
+        start;
+
+    try {
+        connection = pool.acquire();
+        statement = connection.createStatement();
+        start = now();
+        resultSet = statement.executeQuery("SELECT version(), current_setting('server_version_num')::int, pg_is_in_recovery()");
+        resultSet.next();
+        result.latency = now() - start;
+        result.version = String(resultSet.getString(1));
+        result.versionNum = Number(resultSet.getInt(2));
+        result.standby = !!resultSet.getBoolean(3);
+        result.replicationLag = null;
+        resultSet.close();
+        if ( result.standby ) {
+            // the xlog functions were renamed to wal in 10
+            resultSet = statement.executeQuery(result.versionNum >= 100000 ?
+                'SELECT CASE WHEN pg_last_wal_receive_lsn() = pg_last_wal_replay_lsn() THEN 0 ' +
+                'ELSE EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()) END' :
+                'SELECT CASE WHEN pg_last_xlog_receive_location() = pg_last_xlog_replay_location() THEN 0 ' +
+                'ELSE EXTRACT(EPOCH FROM now() - pg_last_xact_replay_timestamp()) END');
+            resultSet.next();
+            result.replicationLag = resultSet.getObject(1) === null ? null : Number(resultSet.getDouble(1));
+            resultSet.close();
+        }
+        result.ok = true;
+    }
+    catch ( e ) {
+        result.error = String(fromException(e).message);
+    }
+    finally {
+        closeQuietly(statement);
+        if ( connection ) {
+            pool.release(connection);
+        }
+    }
+    return result;
+}
 
 /**
  * @private
  *
- * These config options to the constructor are handled specifically
- * anything else is appended to the URI string (see constructor doc)
+ * SQLSTATEs of errors a transaction can be retried after: serialization_failure and deadlock_detected
  */
-var knownConfigOptions = [
-    'user',
-    'password',
-    'database',
-    'host',
-    'port'
-];
+var retryableStates = [ '40001', '40P01' ];
 
 function PosgreSQL( config ) {
-    if ( !config || config.user === undefined || config.password === undefined || config.database === undefined ) {
-        throw new Error('PosgreSQL constructor: invalid configuration');
+    var replicas = (config && config.replicas) || [],
+        connect = Config.resolve(config && config.primary ? Config.node(config, config.primary) : config),
+        shared = config,
+        me = this;
+
+    config = connect.config;
+    this.url = connect.url;
+    this.id = nextId++;
+    this.options = {
+        dates     : config.dates || 'date',
+        numeric   : config.numeric || 'number',
+        fetchSize : config.fetchSize || 1000,
+        timezone  : config.timezone ? java.util.TimeZone.getTimeZone(config.timezone) : null
+    };
+    this.statementTimeout = config.statementTimeout || 0;
+    this.hooks = new Hooks();
+    decaf.each([ 'query', 'queryEnd', 'error', 'connect', 'acquire' ], function ( name ) {
+        var handler = config[ 'on' + name.charAt(0).toUpperCase() + name.substr(1) ];
+        if ( handler ) {
+            me.hooks.on(name, handler);
+        }
+    });
+    if ( config.slowQueryThreshold ) {
+        this.hooks.on('queryEnd', slowQueryLogger(config.slowQueryThreshold, config.slowQueryLog));
+        this.hooks.on('error', slowQueryLogger(config.slowQueryThreshold, config.slowQueryLog));
     }
+    this.repeatedQueryLogger = config.repeatedQueryThreshold ? repeatedQueryLogger(config.repeatedQueryThreshold, config.repeatedQueryLog) : null;
+    this.counters = {
+        queries   : new AtomicLong(),
+        errors    : new AtomicLong(),
+        queryTime : new AtomicLong()
+    };
+    this.pool = Pool.get(connect, config);
+    this.replicas = replicas.map(function ( replica ) {
+        var connect = Config.resolve(Config.node(shared, replica));
+        return { pool : Pool.get(connect, connect.config), downUntil : 0 };
+    });
+    this.nextReplica = 0;
+    this.replicaRetryDelay = config.replicaRetryDelay === undefined ? 5000 : config.replicaRetryDelay;
+    this.listener = new Listener(connect.url, connect.properties, {
+        pollInterval   : config.listenPollInterval,
+        reconnectDelay : config.listenReconnectDelay,
+        log            : config.listenLog
+    });
+}
+/**
+ * Quote a value as a SQL literal, see Escape.quoteLiteral().  Values of types registered
+ * by OID aren't recognized, use the quote() method of an instance for them.
+ *
+ * @method quote
+ * @static
+ * @param {*} s the value to quote
+ * @return {string} the literal
+ */
+PosgreSQL.quote = function ( s ) {
+    return quoteLiteral(s);
+};
+PosgreSQL.quoteLiteral = quoteLiteral;
+PosgreSQL.quoteIdent = quoteIdent;
+PosgreSQL.registerType = registerType;
+PosgreSQL.typed = typed;
+
+decaf.extend(PosgreSQL.prototype, {
+    /** @private */
+    threadState       : function () {
+        var connections = threadConnections(Thread.currentThread()),
+            state = connections[ this.id ];
+
+        if ( !state ) {
+            state = connections[ this.id ] = {
+                pool        : this.pool,
+                connection  : null,
+                pinned      : 0,
+                transaction : 0,
+                wrote       : false,
+                statement   : null,     // statement being run, for cancel()
+                canceled    : false,
+                advisoryLocks : 0,      // session level advisory locks held
+                counter     : new QueryCounter(),
+                owner       : this
+            };
+        }
+        return state;
+    },
+    /** @private */
+    getConnection     : function () {
+        if ( !this.pool ) {
+            throw new Error('PosgreSQL: instance has been destroyed');
+        }
+        var state = this.threadState();
+        if ( !state.connection ) {
+            try {
+                state.connection = this.acquire(this.pool);
+            }
+            catch ( e ) {
+                throw fromException(e);
+            }
+        }
+        return state.connection;
+    },
+    /**
+     * @private
+     *
+     * Check a connection out of a pool, emitting the acquire and connect events.
+     */
+    acquire           : function ( pool ) {
+        var hooks = this.hooks,
+            thread = Thread.currentThread(),
+            start = now(),
+            connection = pool.acquire(function ( connection, duration ) {
+                hooks.emit('connect', { url : pool.url, thread : thread, duration : duration });
+            });
+
+        hooks.emit('acquire', { url : pool.url, thread : thread, duration : now() - start });
+        return connection;
+    },
+    /** @private */
+    releaseConnection : function () {
+        var connections = Thread.currentThread().postgresql,
+            state = connections && connections[ this.id ];
+
+        if ( state && state.connection && !state.pinned ) {
+            state.pool.release(state.connection);
+            state.connection = null;
+        }
+    },
+    /**
+     * @private
+     *
+     * Close the thread's connection instead of returning it to the pool, which ends its
+     * session: the transaction and session level advisory locks it held are gone.
+     */
+    discardConnection : function ( state ) {
+        var connection = state.connection;
+
+        state.connection = null;
+        state.pinned = 0;
+        state.transaction = 0;
+        state.advisoryLocks = 0;
+        if ( connection ) {
+            state.pool.discard(connection);
+        }
+    },
+    /**
+     * @private
+     *
+     * Get the thread's (primary) connection for a write.  Reads by the thread then go to the
+     * primary as well until the request ends, so they see what was written.
+     */
+    writeConnection   : function () {
+        var connection = this.getConnection();
+        this.threadState().wrote = true;
+        return connection;
+    },
+    /**
+     * @private
+     *
+     * Get a connection for a read query.  Returns { connection, pool }, where pool is the
+     * replica pool the connection came from, or null for the thread's primary connection.
+     *
+     * Reads go to the replicas, round robin, unless the thread is in a transaction (or has
+     * its connection pinned otherwise), or has written during the request.  options.primary
+     * true sends the read to the primary, false to a replica regardless.  A replica that
+     * can't be connected to is skipped for replicaRetryDelay milliseconds; if none can be,
+     * the read goes to the primary.
+     */
+    readConnection    : function ( options ) {
+        var state = this.threadState(),
+            primary = options && options.primary,
+            count = this.replicas.length,
+            start = this.nextReplica++,
+            replica,
+            i;
+
+        if ( count && primary !== true && (primary === false || !(state.pinned || state.wrote)) ) {
+            for ( i = 0; i < count; i++ ) {
+                replica = this.replicas[ (start + i) % count ];
+                if ( replica.downUntil > java.lang.System.currentTimeMillis() ) {
+                    continue;
+                }
+                try {
+                    return { connection : this.acquire(replica.pool), pool : replica.pool };
+                }
+                catch ( e ) {
+                    replica.downUntil = java.lang.System.currentTimeMillis() + this.replicaRetryDelay;
+                }
+            }
+        }
+        return { connection : this.getConnection(), pool : null };
+    },
+    /** @private */
+    releaseRead       : function ( read ) {
+        if ( read.pool ) {
+            read.pool.release(read.connection);
+        }
+        else {
+            this.releaseConnection();
+        }
+    },
+    /**
+     * @private
+     *
+     * Run fn, which executes statement, with the statement timeout (options.timeout, or the
+     * statementTimeout config option, rounded up to seconds) set as the statement's query
+     * timeout, and the statement registered for cancel().
+     * Errors are converted, and a statement canceled by its timeout throws a QueryTimeout.
+     * The statement is tracked (see track()).
+     */
+    run               : function ( connection, statement, sql, params, options, fn, count ) {
+        var me = this,
+            state = this.threadState(),
+            previous = state.statement,
+            timeout = options && options.timeout !== undefined ? options.timeout : this.statementTimeout;
+
+        return this.track(sql, params, function () {
+            var error,
+                result;
+            try {
+                if ( timeout ) {
+                    statement.setQueryTimeout(Math.ceil(timeout / 1000));
+                }
+                state.statement = statement;
+                state.canceled = false;
+                result = fn();
+                if ( ddl.test(sql) ) {
+                    me.clearStatementCache();
+                }
+                return result;
+            }
+            catch ( e ) {
+                error = fromException(e, sql, params);
+                if ( error.sqlState === '0A000' && /cached plan/.test(error.message) ) {
+                    // the schema was changed by another client
+                    me.clearStatementCache();
+                }
+                if ( timeout && error instanceof QueryCanceled && !(error instanceof QueryTimeout) && !state.canceled ) {
+                    error = new QueryTimeout(error.message, decaf.extend({}, error, { timeout : timeout }));
+                }
+                throw error;
+            }
+            finally {
+                state.statement = previous;
+                if ( timeout ) {
+                    // cached statements are reused
+                    try {
+                        statement.setQueryTimeout(0);
+                    }
+                    catch ( ignore ) {
+
+                    }
+                }
+            }
+        }, count);
+    },
+    /**
+     * @private
+     *
+     * Run fn, which runs the statement sql, emitting the query and queryEnd or error events
+     * and counting it for the request.  fn returns the query method's result; count, if
+     * given, returns the number of rows it stands for (see rowCount()).
+     */
+    track             : function ( sql, params, fn, count ) {
+        var counter = this.threadState().counter,
+            event = { sql : sql, params : params, thread : Thread.currentThread() },
+            start = now(),
+            result;
+
+        this.hooks.emit('query', event);
+        try {
+            result = fn();
+        }
+        catch ( e ) {
+            event = decaf.extend({}, event, { duration : now() - start, error : e });
+            counter.add(event);
+            this.countQuery(event);
+            this.hooks.emit('error', event);
+            throw e;
+        }
+        event = decaf.extend({}, event, { duration : now() - start, rowCount : (count || rowCount)(result) });
+        counter.add(event);
+        this.countQuery(event);
+        this.hooks.emit('queryEnd', event);
+        return result;
+    },
+    /**
+     * @private
+     *
+     * Get the prepared statement cache of a connection from pool, the primary pool by default.
+     */
+    statementCache    : function ( connection, pool ) {
+        return (pool || this.pool).statementCache(connection);
+    },
+    /**
+     * Drop the prepared statements cached for the connections to the primary and replicas.
+     *
+     * This is done when a statement that may change the schema (ALTER, CREATE or DROP) is
+     * run through this instance, and when the server reports that a cached plan is stale
+     * because the schema was changed by another client.  Call it after changing the schema
+     * some other way.
+     *
+     * @method clearStatementCache
+     */
+    clearStatementCache : function () {
+        if ( this.pool ) {
+            this.pool.invalidateStatements();
+        }
+        decaf.each(this.replicas, function ( replica ) {
+            replica.pool.invalidateStatements();
+        });
+    },
+    /** @private */
+    countQuery        : function ( event ) {
+        this.counters.queries.incrementAndGet();
+        this.counters.queryTime.addAndGet(event.duration);
+        if ( event.error ) {
+            this.counters.errors.incrementAndGet();
+        }
+    },
+    /**
+     * Get the connection pool's and this instance's counters, as a plain object that can be
+     * served as JSON.
+     *
+     * Each pool has: url, max (connections), total (open connections), idle, inUse, waiting
+     * (threads waiting for a connection), created and destroyed (connections since the pool
+     * was created), acquired (checkouts), timeouts (checkouts that timed out), waitTime
+     * { total, max, average } (milliseconds spent waiting for checkouts) and statements
+     * { cacheSize, hits, misses, evictions, hitRate } for its prepared statement caches.  Pools are shared by
+     * instances with the same configuration, the counters are for all of them.
+     *
+     * The query counters are for statements run through this instance.
+     *
+     * @method stats
+     * @return {object} { pool, replicas : [ pool, ... ], queries, errors, queryTime (milliseconds) }
+     */
+    stats             : function () {
+        if ( !this.pool ) {
+            throw new Error('PosgreSQL: instance has been destroyed');
+        }
+        return {
+            pool      : this.pool.stats(),
+            replicas  : this.replicas.map(function ( replica ) {
+                return decaf.extend(replica.pool.stats(), { down : replica.downUntil > now() });
+            }),
+            queries   : Number(this.counters.queries.get()),
+            errors    : Number(this.counters.errors.get()),
+            queryTime : Number(this.counters.queryTime.get())
+        };
+    },
+    /**
+     * Probe the primary and each replica with a lightweight query, as a plain object that can
+     * be served as JSON.
+     *
+     * For each server: ok, url, latency (milliseconds the probe took), version (server version
+     * string), versionNum (e.g. 90315), standby (true if it is a standby in recovery) and
+     * replicationLag (seconds since the last replayed transaction, 0 if the standby has
+     * replayed all it has received, null on a primary).  If the probe fails, ok is false and
+     * error has the message.
+     *
+     * @method healthCheck
+     * @return {object} { ok : true if all servers are, primary, replicas : [ ... ] }
+     */
+    healthCheck       : function () {
+        if ( !this.pool ) {
+            throw new Error('PosgreSQL: instance has been destroyed');
+        }
+        var primary = probe(this.pool),
+            replicas = this.replicas.map(function ( replica ) {
+                return probe(replica.pool);
+            });
+
+        return {
+            ok       : primary.ok && replicas.every(function ( replica ) {
+                return replica.ok;
+            }),
+            primary  : primary,
+            replicas : replicas
+        };
+    },
+    /**
+     * @private
+     *
+     * Called for each thread state when the request ends; logs statements run more than
+     * repeatedQueryThreshold times.
+     */
+    requestEnded      : function ( state ) {
+        if ( this.repeatedQueryLogger ) {
+            this.repeatedQueryLogger(state.counter.summary());
+        }
+    },
+    /**
+     * Add a handler for an event.  Events are emitted in the thread that runs the query:
+     *
+     * - query: before a statement runs { sql, params, thread }
+     * - queryEnd: after it succeeded { sql, params, thread, duration, rowCount }
+     * - error: after it failed { sql, params, thread, duration, error }
+     * - connect: a new connection was opened { url, thread, duration }
+     * - acquire: a connection was checked out of the pool { url, thread, duration }
+     *
+     * Durations are in milliseconds.  Handlers can also be passed as the onQuery, onQueryEnd,
+     * onError, onConnect and onAcquire config options.
+     *
+     * @method on
+     * @param {string} name event name
+     * @param {function} handler called with the event
+     * @example
+     SQL.on('queryEnd', function ( event ) {
+            metrics.timing('db.query', event.duration);
+        });
+     */
+    on                : function ( name, handler ) {
+        this.hooks.on(name, handler);
+    },
+    /**
+     * Remove a handler added with on().
+     *
+     * @method off
+     * @param {string} name event name
+     * @param {function} handler the handler
+     */
+    off               : function ( name, handler ) {
+        this.hooks.off(name, handler);
+    },
+    /**
+     * Get the counts of the statements a thread ran through this instance during the current
+     * request, to spot requests that run too many queries, or the same query over and over.
+     *
+     * @method requestStats
+     * @param {Thread} thread (optional) the thread, the current thread by default
+     * @return {object} { queries, errors, duration, statements : [ { sql, count, duration } ] most often run first }
+     */
+    requestStats      : function ( thread ) {
+        var connections = (thread || Thread.currentThread()).postgresql,
+            state = connections && connections[ this.id ];
+
+        return state ? state.counter.summary() : new QueryCounter().summary();
+    },
+    /**
+     * Cancel the statement a thread is running through this instance, if any.
+     *
+     * The statement fails with a QueryCanceled error in the thread running it.  If the
+     * thread is in a transaction, the transaction has failed and must be rolled back.
+     *
+     * @method cancel
+     * @param {Thread} thread the thread
+     * @return {boolean} true if a statement was running and has been asked to cancel
+     * @example
+     var worker = new Thread(function () {
+            SQL.getDataRows(reportQuery);
+        });
+     worker.start();
+     ...
+     SQL.cancel(worker);
+     */
+    cancel            : function ( thread ) {
+        var connections = thread.postgresql,
+            state = connections && connections[ this.id ],
+            statement = state && state.statement;
+
+        if ( !statement ) {
+            return false;
+        }
+        state.canceled = true;
+        try {
+            statement.cancel();
+        }
+        catch ( e ) {
+            throw fromException(e);
+        }
+        return true;
+    },
+    /**
+     * @private
+     *
+     * Get the thread's connection and keep it checked out until a matching unpin().
+     */
+    pin               : function () {
+        var connection = this.getConnection();
+        this.threadState().pinned++;
+        return connection;
+    },
+    /** @private */
+    unpin             : function () {
+        var state = this.threadState();
+        if ( state.pinned > 0 ) {
+            state.pinned--;
+        }
+        this.releaseConnection();
+    },
+    /**
+     * Release this instance's connections.
+     *
+     * The connection pool is closed once no other PosgreSQL instance with the same
+     * configuration is using it; idle connections are closed right away and the ones
+     * still in use are closed as they are released.
+     *
+     * @method destroy
+     * @return {void}
+     */
+    destroy           : function () {
+        this.listener.stop();
+        if ( this.pool ) {
+            this.releaseConnection();
+            this.pool.unref();
+            this.pool = null;
+            decaf.each(this.replicas, function ( replica ) {
+                replica.pool.unref();
+            });
+            this.replicas = [];
+        }
+    },
+    /**
+     * Issue a read query and return result as an array of objects
+     *
+     * Values may be bound to the query rather than quoted into it.  Pass an array of
+     * values for $1, $2, ... placeholders, or an object for :name placeholders.
+     *
+     * If replicas are configured, the query runs on one of them unless the thread is in
+     * a transaction or has written during the request.  Pass { primary : true } as options
+     * to run it on the primary, or { primary : false } to run it on a replica regardless.
+     *
+     * The query is canceled and throws a QueryTimeout error if it runs longer than the
+     * timeout option, or the statementTimeout config option, in milliseconds (0 for none),
+     * rounded up to whole seconds.
+     *
+     * @method getDataRows
+     * @param {string|Array} query the query, an array of lines is joined with newlines
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {object} options (optional) primary and timeout: see above
+     * @return {Array} array of objects
+     * @example
+     var rows = SQL.getDataRows('SELECT * FROM users WHERE id = $1', [ id ]);
+     var rows = SQL.getDataRows('SELECT * FROM users WHERE email = :email', { email : email });
+     */
+    getDataRows       : function ( query, params, options ) {
+        var me = this,
+            read = this.readConnection(options),
+            connection = read.connection;
+        if ( connection.getAutoCommit() ) {
+            connection.setReadOnly(true);
+        }
+        var prepared,
+            statement,
+            resultSet = null,
+            columns,
+            calendar = getCalendar(this.options),
+            result = [];
+
+        try {
+            prepared = prepare(connection, query, params, this.options, false, this.statementCache(connection, read.pool));
+            statement = prepared.statement;
+            this.run(connection, statement, prepared.sql, prepared.params, options, function () {
+                resultSet = prepared.prepared ? statement.executeQuery() : statement.executeQuery(prepared.sql);
+                columns = readColumns(resultSet.getMetaData(), connection);
+                while ( resultSet.next() ) {
+                    result.push(readRow(resultSet, columns, me.options, calendar));
+                }
+                return result;
+            });
+        }
+        catch ( e ) {
+            throw fromException(e, prepared ? prepared.sql : query, params);
+        }
+        finally {
+            closeQuietly(resultSet);
+            releaseStatement(prepared);
+            this.releaseRead(read);
+        }
+        return result;
+    },
+    /**
+     * Issue a read query and call fn for each row returned, without loading the whole
+     * result into memory.
+     *
+     * Rows are fetched from a server side cursor, fetchSize rows at a time (the fetchSize
+     * config option, default 1000).  Return false from fn to stop early.  The cursor,
+     * statement and connection are released when done, or if fn throws.
+     *
+     * The query runs on a replica, if configured, as for getDataRows().  The timeout applies
+     * to each fetch of rows from the cursor.
+     *
+     * @method eachRow
+     * @param {string|Array} query
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {function} fn called with each row and its (0 based) index
+     * @param {object} options (optional) primary and timeout: see getDataRows()
+     * @return {int} number of rows passed to fn
+     * @example
+     SQL.eachRow('SELECT * FROM orders WHERE created > $1', [ since ], function ( order ) {
+            report.add(order);
+        });
+     */
+    eachRow           : function ( query, params, fn, options ) {
+        if ( typeof params === 'function' ) {
+            options = fn;
+            fn = params;
+            params = undefined;
+        }
+        var me = this,
+            read = this.readConnection(options),
+            connection = read.connection,
+            autoCommit = connection.getAutoCommit(),
+            calendar = getCalendar(this.options),
+            count = 0,
+            prepared,
+            statement,
+            resultSet,
+            columns;
+
+        try {
+            // the driver only uses a cursor when autocommit is off
+            if ( autoCommit ) {
+                connection.setReadOnly(true);
+                connection.setAutoCommit(false);
+            }
+            prepared = prepare(connection, query, params, this.options, false, this.statementCache(connection, read.pool));
+            statement = prepared.statement;
+            statement.setFetchSize(this.options.fetchSize);
+            this.run(connection, statement, prepared.sql, prepared.params, options, function () {
+                resultSet = prepared.prepared ? statement.executeQuery() : statement.executeQuery(prepared.sql);
+                columns = readColumns(resultSet.getMetaData(), connection);
+                while ( resultSet.next() ) {
+                    if ( fn(readRow(resultSet, columns, me.options, calendar), count++) === false ) {
+                        break;
+                    }
+                }
+                return count;
+            });
+        }
+        catch ( e ) {
+            // errors thrown by fn are passed through as they are
+            throw fromException(e, prepared ? prepared.sql : query, params);
+        }
+        finally {
+            closeQuietly(resultSet);
+            releaseStatement(prepared);
+            if ( autoCommit ) {
+                try {
+                    connection.rollback();
+                    connection.setAutoCommit(true);
+                }
+                catch ( e ) {
+
+                }
+            }
+            this.releaseRead(read);
+        }
+        return count;
+    },
+    /**
+     * Issue a read query and return the first/only row returned as an object.
+     *
+     * @method getDataRow
+     * @param {string|Array} query
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {object} options (optional) primary and timeout: see getDataRows()
+     * @return {*}
+     */
+    getDataRow        : function ( query, params, options ) {
+        var rows = this.getDataRows(query, params, options);
+        return rows[ 0 ];
+    },
+    /**
+     * Issue an update query and return the number of rows in the database changed.
+     *
+     * @method update
+     * @param {string|Array} query
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {object} options (optional) timeout: see getDataRows()
+     * @return {*}
+     */
+    update            : function ( query, params, options ) {
+        var connection = this.writeConnection();
+        if ( connection.getAutoCommit() ) {
+            connection.setReadOnly(false);
+        }
+        var prepared,
+            statement,
+            result;
+
+        try {
+            prepared = prepare(connection, query, params, this.options, false, this.statementCache(connection));
+            statement = prepared.statement;
+            result = this.run(connection, statement, prepared.sql, prepared.params, options, function () {
+                if ( prepared.prepared ) {
+                    statement.executeUpdate();
+                }
+                else {
+                    statement.executeUpdate(prepared.sql);
+                }
+                return Number(statement.getUpdateCount());
+            });
+        }
+        catch (e) {
+            throw fromException(e, prepared ? prepared.sql : query, params);
+        }
+        finally {
+            releaseStatement(prepared);
+            this.releaseConnection(connection);
+        }
+        return result;
+    },
+    /**
+     * Issue a read query and return the first column of the first/only row returned.
+     *
+     * Typically this is used with a query of the form "SELECT COUNT(*) FROM table WHERE ..."
+     *
+     * @method getScalar
+     * @param {string|Array} query
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {object} options (optional) primary and timeout: see getDataRows()
+     * @return {*}
+     */
+    getScalar         : function ( query, params, options ) {
+        var row = this.getDataRow(query, params, options);
+        for ( var i in row ) {
+            return row[ i ];
+        }
+        return undefined;
+    },
+    /**
+     * Run many statements in one round trip, using JDBC batch execution.
+     *
+     * Either pass one query and an array of parameter sets (arrays for $n placeholders,
+     * or objects for :name placeholders), to run the query once per set, or an array of
+     * SQL statements without parameters.
+     *
+     * If a statement fails, the error thrown has a batchIndex member with the index of the
+     * entry that failed, and updateCounts with the counts for the entries before it.
+     *
+     * Options:
+     *
+     * - transaction {boolean} true to run the batch in a transaction, so it is all or nothing
+     * - timeout {int} milliseconds each statement may run, see getDataRows()
+     *
+     * @method batch
+     * @param {string|Array} query query to run for each parameter set, or array of statements
+     * @param {Array} paramSets (omitted for an array of statements) array of parameter sets
+     * @param {object} options (optional) batch options
+     * @return {Array} update count of each statement
+     * @example
+     SQL.batch('INSERT INTO tags (postId, tag) VALUES ($1, $2)', [
+            [ postId, 'news' ],
+            [ postId, 'sports' ]
+        ], { transaction : true });
+     SQL.batch([
+            'DELETE FROM sessions WHERE expires < now()',
+            'VACUUM ANALYZE sessions'
+        ]);
+     */
+    batch             : function ( query, paramSets, options ) {
+        var me = this,
+            statements = null;
+
+        if ( isArray(query) ) {
+            statements = query;
+            options = paramSets;
+            paramSets = undefined;
+        }
+        options = options || {};
+
+        function run() {
+            var connection = me.writeConnection(),
+                calendar = getCalendar(me.options),
+                statement = null,
+                sql = null,
+                counts,
+                result = [];
+
+            try {
+                if ( connection.getAutoCommit() ) {
+                    connection.setReadOnly(false);
+                }
+                if ( statements ) {
+                    statement = connection.createStatement();
+                    decaf.each(statements, function ( sql ) {
+                        statement.addBatch(isArray(sql) ? sql.join('\n') : sql);
+                    });
+                }
+                else {
+                    decaf.each(paramSets, function ( params ) {
+                        var bound = bindQuery(isArray(query) ? query.join('\n') : String(query), params);
+                        if ( !statement ) {
+                            sql = bound.sql;
+                            statement = connection.prepareStatement(sql);
+                        }
+                        decaf.each(bound.values, function ( value, ndx ) {
+                            bindValue(statement, ndx + 1, value, calendar);
+                        });
+                        statement.addBatch();
+                    });
+                    if ( !statement ) {
+                        return result;
+                    }
+                }
+                return me.run(connection, statement, statements ? statements.map(function ( sql ) {
+                    return isArray(sql) ? sql.join('\n') : sql;
+                }).join(';\n') : sql, paramSets, options, function () {
+                    counts = statement.executeBatch();
+                    for ( var i = 0; i < counts.length; i++ ) {
+                        result.push(Number(counts[ i ]));
+                    }
+                    return result;
+                }, function ( counts ) {
+                    return counts.reduce(function ( sum, count ) {
+                        return sum + Math.max(count, 0);
+                    }, 0);
+                });
+            }
+            catch ( e ) {
+                throw batchError(e, statements, query, paramSets);
+            }
+            finally {
+                closeQuietly(statement);
+                me.releaseConnection();
+            }
+        }
+
+        return options.transaction ? this.transaction(run, { retries : 0 }) : run();
+    },
+    /**
+     * Call handler for each notification sent to a channel with NOTIFY or notify().
+     *
+     * Notifications are received on a dedicated connection, outside the connection pool,
+     * by a background thread that polls for them every listenPollInterval milliseconds
+     * (config option, default 500).  If the connection drops, the thread reconnects and
+     * listens to its channels again; notifications sent while it was disconnected are lost.
+     * The listenLog config option, a function, is called with a message and the error when
+     * a handler throws and when the connection drops.
+     *
+     * @method listen
+     * @param {string} channel channel name
+     * @param {function} handler called with { channel, payload, pid } where pid is the backend process id of the sender
+     * @example
+     SQL.listen('cache', function ( notification ) {
+            cache.invalidate(notification.payload);
+        });
+     */
+    listen            : function ( channel, handler ) {
+        this.listener.listen(channel, handler);
+    },
+    /**
+     * Stop calling a handler, or all handlers, for a channel.
+     *
+     * @method unlisten
+     * @param {string} channel channel name
+     * @param {function} handler (optional) the handler passed to listen(), all handlers for the channel if omitted
+     */
+    unlisten          : function ( channel, handler ) {
+        this.listener.unlisten(channel, handler);
+    },
+    /**
+     * Send a notification to a channel.
+     *
+     * Inside a transaction, the notification is delivered when the transaction commits.
+     *
+     * @method notify
+     * @param {string} channel channel name
+     * @param {string} payload (optional) payload
+     */
+    notify            : function ( channel, payload ) {
+        var connection = this.writeConnection(),
+            statement = null;
 
-    var url = 'jdbc:postgresql://';
-    url += config.host || 'localhost' + ':';
-    url += config.port || 5432 + '/';
-    url += config.database;
-    url += '?user=' + config.user + '&password=' + config.password;
-    decaf.each(config, function ( value, key ) {
-        if ( knownConfigOptions.indexOf(key) === -1 ) {
-            url += '&' + key + '=' + value;
+        try {
+            // NOTIFY isn't allowed in a read only transaction
+            if ( connection.getAutoCommit() ) {
+                connection.setReadOnly(false);
+            }
+            statement = connection.prepareStatement('SELECT pg_notify(?, ?)');
+            statement.setString(1, channel);
+            statement.setString(2, payload === undefined || payload === null ? '' : String(payload));
+            statement.execute();
         }
-    });
-    this.url = url;
-}
-PosgreSQL.quote = function ( s ) {
-    return Connection.nativeSQL(s);
-};
+        catch ( e ) {
+            throw fromException(e, 'SELECT pg_notify($1, $2)', [ channel, payload ]);
+        }
+        finally {
+            closeQuietly(statement);
+            this.releaseConnection();
+        }
+    },
+    /**
+     * Issue any query and return both the number of rows it affected and the rows it returned.
+     *
+     * Use a RETURNING clause to get inserted or updated rows back, including values set
+     * by column defaults and triggers.  Alternatively, pass the returning option to have
+     * the driver return generated keys (it appends a RETURNING clause for you).
+     *
+     * Options:
+     *
+     * - returning {boolean|Array} true to return all columns of the affected rows, or an array of column names
+     * - timeout {int} milliseconds the statement may run, see getDataRows()
+     *
+     * @method execute
+     * @param {string|Array} query
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {object} options (optional) execute options
+     * @return {object} { rowCount : rows affected (or returned), rows : array of returned rows }
+     * @example
+     var user = SQL.execute('INSERT INTO users (name) VALUES ($1) RETURNING *', [ name ]).rows[ 0 ];
+     var count = SQL.execute('DELETE FROM sessions WHERE expires < now()').rowCount;
+     var id = SQL.execute('INSERT INTO users (name) VALUES ($1)', [ name ], { returning : [ 'id' ] }).rows[ 0 ].id;
+     */
+    execute           : function ( query, params, options ) {
+        options = options || {};
+        var me = this,
+            connection = this.writeConnection(),
+            keys = options.returning,
+            calendar = getCalendar(this.options),
+            result = { rowCount : 0, rows : [] },
+            prepared,
+            statement,
+            resultSet = null,
+            columns;
 
-decaf.extend(PosgreSQL.prototype, {
-    /** @private */
-    getConnection     : function () {
-        var me = Thread.currentThread();
-        if ( !me.SQL ) {
-            me.SQL = getConnection(this.url);
-            if ( !me.handlerInstalled ) {
-                me.on('endRequest', this.releaseConnection);
-                me.handlerInstalled = true;
+        try {
+            if ( connection.getAutoCommit() ) {
+                connection.setReadOnly(false);
             }
+            prepared = prepare(connection, query, params, this.options, keys, this.statementCache(connection));
+            statement = prepared.statement;
+            return this.run(connection, statement, prepared.sql, prepared.params, options, function () {
+                if ( prepared.prepared ? statement.execute() : statement.execute(prepared.sql) ) {
+                    resultSet = statement.getResultSet();
+                }
+                else if ( keys ) {
+                    result.rowCount = Number(statement.getUpdateCount());
+                    resultSet = statement.getGeneratedKeys();
+                }
+                else {
+                    result.rowCount = Number(statement.getUpdateCount());
+                }
+                if ( resultSet ) {
+                    columns = readColumns(resultSet.getMetaData(), connection);
+                    while ( resultSet.next() ) {
+                        result.rows.push(readRow(resultSet, columns, me.options, calendar));
+                    }
+                    result.rowCount = Math.max(result.rowCount, result.rows.length);
+                }
+                return result;
+            });
         }
-        // me.SQL = me.SQL || getConnection(this.url, this.encoding);
-        return me.SQL;
-    },
-    /** @private */
-    releaseConnection : function () {
-        var me = Thread.currentThread();
-        if ( me.SQL ) {
-            releaseConnection(me.SQL);
-            delete me.SQL;
+        catch ( e ) {
+            throw fromException(e, prepared ? prepared.sql : query, params);
+        }
+        finally {
+            closeQuietly(resultSet);
+            releaseStatement(prepared);
+            this.releaseConnection();
         }
     },
     /**
-     * @method destroy
-     * @return {void}
+     * Start building a SELECT query that can be run with its rows(), row(), scalar() or
+     * each() methods.  See Query.
+     *
+     * @method select
+     * @param {string} table table name, optionally followed by an alias
+     * @return {Query} the query
+     * @example
+     var users = SQL.select('users').where({ active : true }).orderBy('name').limit(10).rows();
      */
-    destroy           : function () {
-        // releaseConnection(this.conn);
+    select            : function ( table ) {
+        return new Query('select', table, this);
     },
     /**
-     * Issue a read query and return result as an array of objects
+     * Start building an INSERT query that can be run with its run() method.  See Query.
      *
-     * @method getDataRows
-     * @param query
-     * @return {Array} array of objects
+     * @method insertInto
+     * @param {string} table table name
+     * @return {Query} the query
+     * @example
+     var user = SQL.insertInto('users').values({ name : name, email : email }).returning().run().rows[ 0 ];
      */
-    getDataRows       : function ( query ) {
-        query = isArray(query) ? query.join('\n') : query;
-        var connection = this.getConnection();
-        connection.setReadOnly(true);
-        var statement = connection.createStatement(),
-            resultSet = statement.executeQuery(query),
-            metaData = resultSet.getMetaData(),
-            columns = metaData.getColumnCount(),
-            types = [],
-            names = [],
-            i,
-            bytes;
-
-        for ( i = 1; i <= columns; i++ ) {
-            types[ i ] = metaData.getColumnType(i);
-            names[ i ] = metaData.getColumnLabel(i);
-        }
-
-        var result = [];
-        while ( resultSet.next() ) {
-            var row = {};
-            for ( i = 1; i <= columns; i++ ) {
-                switch ( types[ i ] ) {
-                    case BIT:
-                    case BOOLEAN:
-                        row[ names[ i ] ] = Boolean(resultSet.getBoolean(i));
-                        break;
-                    case TINYINT:
-                    case BIGINT:
-                    case SMALLINT:
-                    case INTEGER:
-                        row[ names[ i ] ] = Number(resultSet.getLong(i));
-                        break;
-                    case REAL:
-                    case FLOAT:
-                    case DOUBLE:
-                    case DECIMAL:
-                    case NUMERIC:
-                        row[ names[ i ] ] = Number(resultSet.getDouble(i));
-                        break;
-                    case VARBINARY:
-                    case BINARY:
-                    case LONGVARBINARY:
-                        row[ names[ i ] ] = resultSet.getBytes(i);
-                        break;
-                    case LONGVARCHAR:
-                    case CHAR:
-                    case VARCHAR:
-                    case CLOB:
-                    case OTHER:
-                        row[ names[ i ] ] = decodeByteArray(resultSet.getBytes(i));
-                        break;
-                    case DATE:
-                    case TIME:
-                    case TIMESTAMP:
-                        row[ names[ i ] ] = resultSet.getInt(i); // getTimestamp(i);
-                        break;
-                    case NULL:
-                        row[ names[ i ] ] = null;
-                        break;
-                    default:
-                        console.log(types[ i ]);
-                        row[ names[ i ] ] = String(resultSet.getString(i));
-                        break;
+    insertInto        : function ( table ) {
+        return new Query('insert', table, this);
+    },
+    /**
+     * Start building an UPDATE query that can be run with its run() method.  See Query.
+     *
+     * @method updateTable
+     * @param {string} table table name, optionally followed by an alias
+     * @return {Query} the query
+     * @example
+     SQL.updateTable('users').set({ active : false }).where({ lastLogin : { '<' : cutoff } }).run();
+     */
+    updateTable       : function ( table ) {
+        return new Query('update', table, this);
+    },
+    /**
+     * Start building a DELETE query that can be run with its run() method.  See Query.
+     *
+     * @method deleteFrom
+     * @param {string} table table name, optionally followed by an alias
+     * @return {Query} the query
+     * @example
+     SQL.deleteFrom('sessions').where({ expires : { '<' : new Date() } }).run();
+     */
+    deleteFrom        : function ( table ) {
+        return new Query('delete', table, this);
+    },
+    /**
+     * Get the plan PostgreSQL chooses for a query, as the parsed output of EXPLAIN (FORMAT JSON),
+     * with a summary of what to look at when tuning it (see Explain.summarize()):
+     *
+     * - totalCost: the planner's estimated total cost
+     * - seqScans: sequential scans of tables with largeTable or more rows (estimated from pg_class)
+     * - misestimates: with analyze, plan nodes whose actual row count was off from the estimate
+     *   by a factor of misestimate or more
+     * - planningTime and executionTime in milliseconds, with analyze
+     *
+     * Options:
+     *
+     * - analyze {boolean} run the query to get actual row counts and times.  The query runs in a
+     *   transaction (or savepoint) that is rolled back, so writes leave nothing changed
+     * - buffers {boolean} include buffer usage (PostgreSQL before 13 requires analyze for it)
+     * - largeTable {int} row count from which a sequential scan is reported (default 10000)
+     * - misestimate {int} factor from which a row estimate is reported (default 10)
+     * - primary, timeout: see getDataRows()
+     *
+     * @method explain
+     * @param {string|Array|Query} query the query
+     * @param {Array|object} params (optional) values to bind to the query's placeholders
+     * @param {object} options (optional) explain options
+     * @return {object} { plan : the root plan node, with its children in Plans, summary }
+     * @example
+     var explained = SQL.explain('SELECT * FROM orders WHERE customer = $1', [ id ], { analyze : true });
+     // explained.summary is e.g.
+     // { totalCost : 1693.5, planningTime : 0.08, executionTime : 11.9,
+     //   seqScans : [ { relation : 'orders', alias : 'orders', tableRows : 52000, filter : '(customer = 42)', cost : 1693.5 } ],
+     //   misestimates : [] }
+     */
+    explain           : function ( query, params, options ) {
+        options = options || {};
+        var sql,
+            rows,
+            connection,
+            savepoint,
+            explained,
+            names,
+            tableRows = {};
+
+        if ( query instanceof Query ) {
+            query = query.toSQL();
+            params = query.values;
+            query = query.text;
+        }
+        sql = Explain.explainQuery(isArray(query) ? query.join('\n') : String(query), options);
+        if ( options.analyze ) {
+            // the query really runs, so whatever it writes is rolled back
+            if ( this.threadState().transaction ) {
+                connection = this.pin();
+                try {
+                    savepoint = connection.setSavepoint();
+                    rows = this.getDataRows(sql, params, options);
+                }
+                finally {
+                    if ( savepoint ) {
+                        connection.rollback(savepoint);
+                    }
+                    this.unpin();
+                }
+            }
+            else {
+                this.startTransaction();
+                try {
+                    rows = this.getDataRows(sql, params, options);
+                }
+                finally {
+                    this.rollback();
                 }
             }
-            result.push(row);
         }
-        try {
-            statement.close();
-            resultSet.close();
+        else {
+            rows = this.getDataRows(sql, params, options);
         }
-        catch ( e ) {
+        explained = rows[ 0 ][ 'QUERY PLAN' ];
+        if ( typeof explained === 'string' ) {
+            explained = JSON.parse(explained);
+        }
+        explained = explained[ 0 ];
 
+        names = Explain.relations(explained.Plan);
+        if ( names.length ) {
+            decaf.each(this.getDataRows('SELECT relname, reltuples::float8 AS rows FROM pg_class ' +
+                'WHERE relkind IN (\'r\', \'m\') AND relname IN (' + names.map(function ( name, ndx ) {
+                    return '$' + (ndx + 1);
+                }).join(', ') + ')', names, { primary : options.primary }), function ( row ) {
+                // the same name may be used in more than one schema
+                tableRows[ row.relname ] = Math.max(tableRows[ row.relname ] || 0, row.rows);
+            });
         }
-        this.releaseConnection(connection);
-        return result;
+        return {
+            plan    : explained.Plan,
+            summary : Explain.summarize(explained, tableRows, options)
+        };
     },
     /**
-     * Issue a read query and return the first/only row returned as an object.
+     * Get the value most recently generated by a sequence (e.g. a serial column) in this session.
      *
-     * @method getDataRow
-     * @param query
-     * @return {*}
+     * Note that this is not reliable when a trigger uses another sequence, or for keys that
+     * aren't serials.  Prefer execute() with a RETURNING clause.
+     *
+     * @method insertId
+     * @return {int} the value
      */
-    getDataRow        : function ( query ) {
-        var rows = this.getDataRows(query);
-        return rows[ 0 ];
+    insertId: function() {
+        return this.getScalar('SELECT LASTVAL()');
     },
     /**
-     * Issue an update query and return the number of rows in the database changed.
+     * Bulk load rows into a table with COPY ... FROM STDIN.
      *
-     * @method update
-     * @param query
-     * @return {*}
+     * rows is an array of rows, or a function that is called repeatedly and returns the
+     * next row, or null when there are no more; rows are encoded and sent in chunks as
+     * they are produced, so they never all have to be in memory.  A row is an array of
+     * values in columns order, an object keyed by column name, or a string of already
+     * encoded COPY data.
+     *
+     * @method copyIn
+     * @param {string} table table name, optionally schema qualified
+     * @param {Array} columns column names, or null for all columns (rows must then be arrays)
+     * @param {Array|function} rows the rows, or a function that returns them one at a time
+     * @param {object} options (optional) format: 'csv' (default) or 'text', timeout: see getDataRows()
+     * @return {int} number of rows loaded
+     * @example
+     SQL.copyIn('events', [ 'type', 'payload', 'created' ], function () {
+            var line = reader.readLine();
+            return line === null ? null : parseEvent(line);
+        });
      */
-    update            : function ( query ) {
-        query = isArray(query) ? query.join('\n') : query;
-        var connection = this.getConnection();
-        connection.setReadOnly(false);
-        var statement = connection.createStatement(),
-            result;
-
+    copyIn            : function ( table, columns, rows, options ) {
+        var me = this,
+            connection = this.writeConnection();
         try {
-            result = statement.executeUpdate(query);
-            result = statement.getUpdateCount();
-        }
-        catch (e) {
-            e.query = query;
-            throw e;
+            if ( connection.getAutoCommit() ) {
+                connection.setReadOnly(false);
+            }
+            return this.run(connection, new CopyStatement(connection), 'COPY ' + table + ' FROM STDIN', undefined, options, function () {
+                return Copy.copyIn(connection, table, columns, rows, decaf.extend({}, me.options, options || {}));
+            });
         }
         finally {
-            try {
-                statement.close();
-            }
-            catch ( e ) {
-
-            }
-            this.releaseConnection(connection);
+            this.releaseConnection();
         }
-        return result;
     },
     /**
-     * Issue a read query and return the first column of the first/only row returned.
+     * Export a table or the result of a query with COPY ... TO STDOUT.
      *
-     * Typically this is used with a query of the form "SELECT COUNT(*) FROM table WHERE ..."
+     * fn is called with each exported row as a line of text (csv by default, including the
+     * trailing newline), as it arrives from the server.  Return false from fn to stop early.
      *
-     * @method getScalar
-     * @param query
-     * @return {*}
+     * @method copyOut
+     * @param {string} source table name (optionally schema qualified) or a SELECT query
+     * @param {function} fn called with each line
+     * @param {object} options (optional) format: 'csv' (default) or 'text', header: true to start with a csv header line, primary and timeout: see getDataRows()
+     * @return {int} number of rows exported
+     * @example
+     SQL.copyOut('SELECT * FROM orders WHERE created > now() - interval \'1 day\'', function ( line ) {
+            writer.write(line);
+        }, { header : true });
      */
-    getScalar         : function ( query ) {
-        var row = this.getDataRow(query);
-        for ( var i in row ) {
-            return row[ i ];
+    copyOut           : function ( source, fn, options ) {
+        var read = this.readConnection(options);
+        try {
+            return this.run(read.connection, new CopyStatement(read.connection), 'COPY ' + source + ' TO STDOUT', undefined, options, function () {
+                return Copy.copyOut(read.connection, source, fn, options || {});
+            });
+        }
+        finally {
+            this.releaseRead(read);
         }
-        return undefined;
     },
-    insertId: function() {
-        return this.getScalar('SELECT LASTVAL()');
+
+    /**
+     * Run fn in a transaction.
+     *
+     * The transaction is committed when fn returns and rolled back if it throws.  Every
+     * query the thread issues through this PosgreSQL instance while fn runs is part of the
+     * transaction.
+     *
+     * A transaction started inside another one is a SAVEPOINT: if fn throws, only its
+     * changes are rolled back (and the error is rethrown).  Options are ignored for
+     * nested transactions.
+     *
+     * If the transaction fails with a serialization failure or deadlock (SQLSTATE 40001
+     * or 40P01), it is rolled back and fn is run again, up to retries times, waiting a
+     * little longer before each attempt.  fn must be safe to run more than once.
+     *
+     * Options:
+     *
+     * - isolation {string} 'read uncommitted', 'read committed', 'repeatable read' or 'serializable'
+     * - readOnly {boolean} true for a read only transaction
+     * - retries {int} number of times to retry after a serialization failure or deadlock (default 3)
+     * - backoff {int} milliseconds to wait before the first retry, doubled for each one after (default 50)
+     *
+     * @method transaction
+     * @param {function} fn function to run, called with this PosgreSQL instance
+     * @param {object} options (optional) transaction options
+     * @return {*} what fn returns
+     * @example
+     var order = SQL.transaction(function () {
+            var order = SQL.getDataRow('INSERT INTO orders (customerId) VALUES ($1) RETURNING *', [ customerId ]);
+            SQL.update('UPDATE customers SET orderCount = orderCount + 1 WHERE id = $1', [ customerId ]);
+            return order;
+        }, { isolation : 'serializable' });
+     */
+    transaction       : function ( fn, options ) {
+        options = options || {};
+        var state = this.threadState(),
+            retries = options.retries === undefined ? 3 : options.retries,
+            backoff = options.backoff === undefined ? 50 : options.backoff,
+            isolation,
+            connection,
+            savepoint,
+            result,
+            attempt;
+
+        if ( options.isolation ) {
+            isolation = isolationLevels[ String(options.isolation).toLowerCase().replace(/_/g, ' ') ];
+            if ( isolation === undefined ) {
+                throw new Error('PosgreSQL: invalid transaction isolation ' + options.isolation);
+            }
+        }
+
+        if ( state.transaction ) {
+            connection = this.pin();
+            state.transaction++;
+            try {
+                savepoint = connection.setSavepoint();
+                result = fn(this);
+                connection.releaseSavepoint(savepoint);
+                return result;
+            }
+            catch ( e ) {
+                if ( savepoint ) {
+                    try {
+                        connection.rollback(savepoint);
+                    }
+                    catch ( ignore ) {
+
+                    }
+                }
+                throw e;
+            }
+            finally {
+                state.transaction--;
+                this.unpin();
+            }
+        }
+
+        for ( attempt = 0; ; attempt++ ) {
+            connection = this.pin();
+            state.transaction = 1;
+            try {
+                connection.setAutoCommit(false);
+                if ( isolation !== undefined ) {
+                    state.pool.setIsolation(connection, isolation);
+                }
+                connection.setReadOnly(!!options.readOnly);
+                result = fn(this);
+                connection.commit();
+                return result;
+            }
+            catch ( e ) {
+                try {
+                    connection.rollback();
+                }
+                catch ( ignore ) {
+
+                }
+                if ( attempt >= retries || retryableStates.indexOf(sqlState(e)) === -1 ) {
+                    throw fromException(e);
+                }
+            }
+            finally {
+                try {
+                    connection.setAutoCommit(true);
+                    connection.setReadOnly(false);
+                    state.pool.restoreIsolation(connection);
+                }
+                catch ( ignore ) {
+
+                }
+                state.transaction = 0;
+                this.unpin();
+            }
+            java.lang.Thread.sleep(Math.round(backoff * Math.pow(2, attempt) * (0.5 + Math.random())));
+        }
     },
 
     /**
      * Begin a transaction
      *
+     * The thread's connection is held until commit() or rollback() is called.
+     * See also transaction(), which commits or rolls back for you.
+     *
      * @method startTransaction
      * @example
      SQL.startTransaction();
@@ -288,7 +1756,17 @@ decaf.extend(PosgreSQL.prototype, {
         }
      */
     startTransaction  : function () {
-        this.update('BEGIN');
+        var connection = this.pin(),
+            state = this.threadState();
+
+        if ( state.transaction ) {
+            this.unpin();
+            throw new Error('PosgreSQL: startTransaction called inside a transaction');
+        }
+        // a read may have left the connection read only
+        connection.setReadOnly(false);
+        connection.setAutoCommit(false);
+        state.transaction = 1;
     },
     /**
      * Commit a transaction
@@ -309,7 +1787,7 @@ decaf.extend(PosgreSQL.prototype, {
         }
      */
     commit            : function () {
-        this.update('COMMIT');
+        this.endTransaction(true);
     },
     /**
      * Rollback a transaction
@@ -330,37 +1808,242 @@ decaf.extend(PosgreSQL.prototype, {
         }
      */
     rollback          : function () {
-        this.update('ROLLBACK');
+        this.endTransaction(false);
+    },
+    /** @private */
+    endTransaction    : function ( commit ) {
+        var state = this.threadState(),
+            connection = state.connection;
+
+        if ( !state.transaction || !connection ) {
+            throw new Error('PosgreSQL: ' + (commit ? 'commit' : 'rollback') + ' called without a transaction');
+        }
+        try {
+            if ( commit ) {
+                connection.commit();
+            }
+            else {
+                connection.rollback();
+            }
+        }
+        catch ( e ) {
+            throw fromException(e, commit ? 'COMMIT' : 'ROLLBACK');
+        }
+        finally {
+            try {
+                connection.setAutoCommit(true);
+            }
+            catch ( ignore ) {
+
+            }
+            state.transaction = 0;
+            this.unpin();
+        }
+    },
+    /**
+     * @private
+     *
+     * Run an advisory lock function on the thread's (pinned) connection, with lock_timeout
+     * set to timeout if given.
+     */
+    lockQuery         : function ( sql, key, timeout ) {
+        var connection = this.getConnection();
+
+        if ( timeout ) {
+            setSessionTimeout(connection, 'lock_timeout', timeout);
+        }
+        try {
+            // a lock wait is bounded by lock_timeout, not the statement timeout
+            return this.getScalar(sql, [ lockKey(key) ], { primary : true, timeout : 0 });
+        }
+        finally {
+            if ( timeout ) {
+                try {
+                    setSessionTimeout(connection, 'lock_timeout', null);
+                }
+                catch ( ignore ) {
+
+                }
+            }
+        }
     },
     /**
-     * Quote and escape a string to be used as part of a query.
+     * Acquire a session level advisory lock.
      *
-     * The string is surrounded with single quotes and anything in the string that needs to be escaped is escaped.
+     * The thread's connection stays pinned to it (as in a transaction) until advisoryUnlock()
+     * is called for the key.  Locks still held when the request ends are released.
      *
-     * @method quote
-     * @param {string} s the string to quote/escape
-     * @return {string} the quoted string
+     * Keys are integers, or strings (or anything else) that are hashed to a 64 bit integer.
+     *
+     * Options:
+     *
+     * - wait {boolean} false to return false right away if another session holds the lock (default true)
+     * - timeout {int} milliseconds to wait for the lock before throwing a LockNotAvailable error
+     * - shared {boolean} true for a shared lock, which other sessions can also hold shared
+     *
+     * @method advisoryLock
+     * @param {int|string} key the lock
+     * @param {object} options (optional) lock options
+     * @return {boolean} true if the lock was acquired
      */
-    quote             : function ( s ) {
-        if ( isArray(s) ) {
-            var ret = [];
-            decaf.each(s, function ( e ) {
-                ret.push(MySQL.prototype.quote(e));
-            });
-            return ret;
+    advisoryLock      : function ( key, options ) {
+        options = options || {};
+        var wait = options.wait !== false,
+            locked;
+
+        this.pin();
+        try {
+            locked = this.lockQuery('SELECT pg_' + (wait ? '' : 'try_') + 'advisory_lock' + (options.shared ? '_shared' : '') + '($1::bigint)',
+                key, wait && options.timeout);
+        }
+        catch ( e ) {
+            this.unpin();
+            throw e;
         }
-        else if ( s === null || s === undefined ) {
-            return 'NULL';
+        if ( !wait && locked !== true ) {
+            this.unpin();
+            return false;
         }
-        else if ( s === true || s == 'yes' ) {
-            return "'1'";
+        this.threadState().advisoryLocks++;
+        return true;
+    },
+    /**
+     * Release a session level advisory lock acquired with advisoryLock().
+     *
+     * @method advisoryUnlock
+     * @param {int|string} key the lock
+     * @param {object} options (optional) shared: true if the lock was acquired shared
+     * @return {boolean} true if the lock was held and has been released
+     */
+    advisoryUnlock    : function ( key, options ) {
+        options = options || {};
+        var state = this.threadState(),
+            connection = state.connection,
+            unlocked;
+
+        if ( !state.advisoryLocks || !connection ) {
+            return false;
         }
-        else if ( s === false || s == 'no' ) {
-            return "'0'";
+        try {
+            unlocked = this.getScalar('SELECT pg_advisory_unlock' + (options.shared ? '_shared' : '') + '($1::bigint)',
+                    [ lockKey(key) ], { primary : true }) === true;
         }
-        else {
-            s = s === undefined ? '' : s;
-            return "'" + addslashes(s) + "'";
+        catch ( e ) {
+            // closing the session is the only other way to release the lock
+            this.discardConnection(state);
+            return true;
+        }
+        if ( unlocked ) {
+            state.advisoryLocks--;
+            this.unpin();
+        }
+        return unlocked;
+    },
+    /**
+     * Acquire a transaction level advisory lock, which is released when the transaction
+     * ends.  Must be called inside a transaction.
+     *
+     * @method advisoryXactLock
+     * @param {int|string} key the lock
+     * @param {object} options (optional) wait, timeout and shared, see advisoryLock()
+     * @return {boolean} true if the lock was acquired
+     */
+    advisoryXactLock  : function ( key, options ) {
+        options = options || {};
+        var wait = options.wait !== false;
+
+        if ( !this.threadState().transaction ) {
+            throw new Error('PosgreSQL: advisoryXactLock called outside a transaction');
+        }
+        return this.lockQuery('SELECT pg_' + (wait ? '' : 'try_') + 'advisory_xact_lock' + (options.shared ? '_shared' : '') + '($1::bigint)',
+                key, wait && options.timeout) === true || wait;
+    },
+    /**
+     * Run fn while holding an advisory lock, to coordinate work across processes (e.g. to keep
+     * two instances of a cron job from running at once).
+     *
+     * By default the lock is session level: the thread's connection is pinned while fn runs,
+     * and the lock is released when fn returns or throws.  With the transaction option, fn
+     * runs in a transaction (see transaction(), whose options also apply) and the lock is
+     * released when it commits or rolls back.
+     *
+     * Options:
+     *
+     * - wait {boolean} false to throw a LockNotAvailable error right away if another session holds the lock (default true)
+     * - timeout {int} milliseconds to wait for the lock before throwing a LockNotAvailable error
+     * - shared {boolean} true for a shared lock
+     * - transaction {boolean} true for a transaction level lock
+     *
+     * @method withAdvisoryLock
+     * @param {int|string} key the lock, strings are hashed to a 64 bit integer
+     * @param {function} fn function to run, called with this PosgreSQL instance
+     * @param {object} options (optional) lock options
+     * @return {*} what fn returns
+     * @example
+     SQL.withAdvisoryLock('nightly-report', function () {
+            buildReport();
+        }, { wait : false });
+     */
+    withAdvisoryLock  : function ( key, fn, options ) {
+        options = options || {};
+        var me = this;
+
+        function notAvailable() {
+            return new LockNotAvailable('PosgreSQL: advisory lock ' + key + ' is held by another session', { key : key, sqlState : '55P03' });
+        }
+
+        if ( options.transaction ) {
+            return this.transaction(function () {
+                if ( !me.advisoryXactLock(key, options) ) {
+                    throw notAvailable();
+                }
+                return fn(me);
+            }, options);
+        }
+        if ( !this.advisoryLock(key, options) ) {
+            throw notAvailable();
+        }
+        try {
+            return fn(this);
+        }
+        finally {
+            this.advisoryUnlock(key, options);
+        }
+    },
+    /**
+     * Quote a value to be used as a literal in a query.
+     *
+     * Strings are surrounded with single quotes, and quotes in them are doubled (strings with
+     * backslashes are written as E'' strings).  null is NULL, booleans are TRUE or FALSE, Dates
+     * are timestamps in the timezone config option, arrays are ARRAY[...] of their quoted elements,
+     * and values of registered types are cast to their type.  See Escape.quoteLiteral().
+     *
+     * @method quote
+     * @param {*} s the value to quote
+     * @return {string} the literal
+     */
+    quote             : function ( s ) {
+        var me = this,
+            connection = null;
+
+        try {
+            return quoteLiteral(s, decaf.extend({}, this.options, {
+                custom : function ( value ) {
+                    // values of registered types; a connection is only needed to look up types registered by OID
+                    var custom = encodeCustom(value, function () {
+                        return connection || (connection = me.getConnection());
+                    });
+                    if ( !custom ) {
+                        return undefined;
+                    }
+                    return custom.text === null ? 'NULL' : quoteLiteral(custom.text) + '::' + custom.type;
+                }
+            }));
+        }
+        finally {
+            if ( connection ) {
+                this.releaseConnection();
+            }
         }
     }
 });
@@ -0,0 +1,682 @@
+/** @module Query */
+
+/*global java, require, exports, toString */
+
+/**
+ * Builds parameterized SELECT, INSERT, UPDATE and DELETE queries.
+ *
+ * Identifiers are quoted, and values are bound to $1, $2, ... placeholders rather than
+ * quoted into the query text.  A built query can be passed to any of the PosgreSQL query
+ * methods in place of the query text (and its params), or, if it was created through a
+ * PosgreSQL instance (e.g. SQL.select('users')), run with its own methods.
+ *
+ * @example
+ var users = SQL.select('users u')
+        .columns('u.id', 'u.name', { orders : Query.raw('count(o.id)') })
+        .leftJoin('orders o', 'o.userId', 'u.id')
+        .where({ 'u.active' : true, 'u.country' : [ 'NL', 'BE' ] })
+        .groupBy('u.id', 'u.name')
+        .orderBy('u.name')
+        .limit(20)
+        .rows();
+
+ SQL.execute(Query.updateTable('users').set({ lastLogin : new Date() }).where({ id : id }));
+ */
+
+var {quoteIdent} = require('./Escape');
+
+/** @private */
+function isArray( o ) {
+    return toString.apply(o) === '[object Array]';
+}
+
+/**
+ * @private
+ *
+ * true for a plain JavaScript object, as opposed to a Date, array, Java object or Raw fragment
+ */
+function isPlainObject( o ) {
+    return o !== null && typeof o === 'object' && toString.apply(o) === '[object Object]' &&
+        !(o instanceof java.lang.Object) && !(o instanceof Raw);
+}
+
+/**
+ * @private
+ *
+ * Quote a selected column, which may be qualified; a * (as in u.*) is left alone.
+ */
+function quoteColumn( name ) {
+    var parts = String(name).split('.');
+    if ( parts[ parts.length - 1 ] !== '*' ) {
+        return quoteIdent(name);
+    }
+    return parts.length > 1 ? quoteIdent(parts.slice(0, -1).join('.')) + '.*' : '*';
+}
+
+/**
+ * @private
+ *
+ * Quote a table name, optionally followed by an alias: 'orders o' or 'orders AS o'
+ */
+function quoteTable( table ) {
+    var match = /^(\S+)\s+(?:as\s+)?(\S+)$/i.exec(String(table).trim());
+    return match ? quoteIdent(match[ 1 ]) + ' ' + quoteIdent(match[ 2 ]) : quoteIdent(String(table).trim());
+}
+
+/**
+ * @private
+ *
+ * Comparison operators allowed in where({ column : { operator : value } })
+ */
+var operators = {
+    '='           : '=',
+    '<>'          : '<>',
+    '!='          : '<>',
+    '<'           : '<',
+    '<='          : '<=',
+    '>'           : '>',
+    '>='          : '>=',
+    'like'        : 'LIKE',
+    'not like'    : 'NOT LIKE',
+    'ilike'       : 'ILIKE',
+    'not ilike'   : 'NOT ILIKE',
+    'in'          : 'IN',
+    'not in'      : 'NOT IN',
+    'is'          : 'IS',
+    'is not'      : 'IS NOT'
+};
+
+/**
+ * A fragment of SQL, with its own $1, $2, ... placeholders and the values for them.
+ * Use Query.raw() to create one.
+ *
+ * @class Raw
+ * @param {string} text SQL
+ * @param {Array} values values for the fragment's placeholders
+ * @constructor
+ */
+function Raw( text, values ) {
+    this.text = String(text);
+    this.values = values || [];
+}
+
+/**
+ * @private
+ *
+ * Collects the values of a query being built, numbering placeholders as they are added.
+ */
+function Params() {
+    this.values = [];
+}
+
+decaf.extend(Params.prototype, {
+    /** add a value, returning its placeholder */
+    value    : function ( value ) {
+        if ( value instanceof Raw ) {
+            return this.fragment(value);
+        }
+        this.values.push(value);
+        return '$' + this.values.length;
+    },
+    /** add a Raw fragment, renumbering its placeholders to follow the values added before it */
+    fragment : function ( raw ) {
+        var offset = this.values.length;
+        this.values = this.values.concat(raw.values);
+        return raw.text.replace(/'(?:[^']|'')*'|"(?:[^"]|"")*"|\$(\d+)/g, function ( all, n ) {
+            return n ? '$' + (Number(n) + offset) : all;
+        });
+    }
+});
+
+/** @private */
+function columnText( column, params ) {
+    if ( column instanceof Raw ) {
+        return params.fragment(column);
+    }
+    var match = /^(\S+)\s+as\s+(\S+)$/i.exec(String(column).trim());
+    return match ? quoteColumn(match[ 1 ]) + ' AS ' + quoteIdent(match[ 2 ]) : quoteColumn(String(column).trim());
+}
+
+/**
+ * @private
+ *
+ * Condition text for one column of a where({ ... }) object.
+ */
+function columnCondition( column, value, params ) {
+    var name = quoteIdent(column),
+        conditions = [];
+
+    if ( value === null || value === undefined ) {
+        return name + ' IS NULL';
+    }
+    if ( isArray(value) ) {
+        return value.length ? name + ' IN (' + value.map(function ( v ) {
+            return params.value(v);
+        }).join(', ') + ')' : 'FALSE';
+    }
+    if ( !isPlainObject(value) ) {
+        return name + ' = ' + params.value(value);
+    }
+    decaf.each(value, function ( operand, key ) {
+        var operator = operators[ String(key).toLowerCase().replace(/\s+/g, ' ') ];
+        if ( !operator ) {
+            throw new Error('Query: unsupported operator ' + key);
+        }
+        if ( operator === 'IN' || operator === 'NOT IN' ) {
+            if ( !isArray(operand) ) {
+                throw new Error('Query: ' + key + ' requires an array of values');
+            }
+            conditions.push(operand.length ? name + ' ' + operator + ' (' + operand.map(function ( v ) {
+                return params.value(v);
+            }).join(', ') + ')' : (operator === 'IN' ? 'FALSE' : 'TRUE'));
+        }
+        else if ( operand === null && (operator === '=' || operator === 'IS') ) {
+            conditions.push(name + ' IS NULL');
+        }
+        else if ( operand === null && (operator === '<>' || operator === 'IS NOT') ) {
+            conditions.push(name + ' IS NOT NULL');
+        }
+        else {
+            conditions.push(name + ' ' + operator + ' ' + params.value(operand));
+        }
+    });
+    return conditions.join(' AND ');
+}
+
+/**
+ * @private
+ *
+ * Text of the conditions passed to where() or having().
+ */
+function conditionText( condition, params ) {
+    if ( condition instanceof Raw ) {
+        return '(' + params.fragment(condition) + ')';
+    }
+    var conditions = [];
+    decaf.each(condition, function ( value, column ) {
+        conditions.push(columnCondition(column, value, params));
+    });
+    return conditions.join(' AND ');
+}
+
+/** @private */
+function conditionsText( keyword, conditions, params ) {
+    var texts = conditions.map(function ( condition ) {
+        return conditionText(condition, params);
+    }).filter(function ( text ) {
+        return text.length;
+    });
+    return texts.length ? ' ' + keyword + ' ' + texts.join(' AND ') : '';
+}
+
+/** @private */
+function toRaw( condition, values ) {
+    return typeof condition === 'string' ? new Raw(condition, values) : condition;
+}
+
+/**
+ * A query being built.  Create one with Query.select(), Query.insertInto(), Query.updateTable()
+ * or Query.deleteFrom(), or the PosgreSQL methods of the same names.
+ *
+ * The builder methods return the query, so calls can be chained.
+ *
+ * @class Query
+ * @param {string} type 'select', 'insert', 'update' or 'delete'
+ * @param {string} table table name, optionally schema qualified and followed by an alias
+ * @param {PosgreSQL} sql (optional) instance to run the query with
+ * @constructor
+ */
+function Query( type, table, sql ) {
+    this.type = type;
+    this.table = table;
+    this.sql = sql || null;
+    this.parts = {
+        distinct  : false,
+        columns   : [],
+        joins     : [],
+        where     : [],
+        groupBy   : [],
+        having    : [],
+        orderBy   : [],
+        limit     : null,
+        offset    : null,
+        rows      : [],
+        set       : null,
+        returning : []
+    };
+}
+
+/**
+ * Create a SQL fragment to use as a column, condition or value.  Its placeholders are
+ * numbered from $1, and renumbered as it is added to a query.
+ *
+ * @method raw
+ * @static
+ * @param {string} text SQL
+ * @param {Array} values (optional) values for the fragment's placeholders
+ * @return {Raw} the fragment
+ * @example
+ Query.select('events').where(Query.raw('created > now() - $1::interval', [ '1 day' ]));
+ */
+Query.raw = function ( text, values ) {
+    return new Raw(text, values);
+};
+
+/**
+ * Start a SELECT query.
+ *
+ * @method select
+ * @static
+ * @param {string} table table name, optionally followed by an alias
+ * @return {Query} the query
+ */
+Query.select = function ( table ) {
+    return new Query('select', table);
+};
+
+/**
+ * Start an INSERT query.
+ *
+ * @method insertInto
+ * @static
+ * @param {string} table table name
+ * @return {Query} the query
+ */
+Query.insertInto = function ( table ) {
+    return new Query('insert', table);
+};
+
+/**
+ * Start an UPDATE query.
+ *
+ * @method updateTable
+ * @static
+ * @param {string} table table name, optionally followed by an alias
+ * @return {Query} the query
+ */
+Query.updateTable = function ( table ) {
+    return new Query('update', table);
+};
+
+/**
+ * Start a DELETE query.
+ *
+ * @method deleteFrom
+ * @static
+ * @param {string} table table name, optionally followed by an alias
+ * @return {Query} the query
+ */
+Query.deleteFrom = function ( table ) {
+    return new Query('delete', table);
+};
+
+Query.Raw = Raw;
+
+decaf.extend(Query.prototype, {
+    /** @private */
+    only      : function ( types, method ) {
+        if ( types.indexOf(this.type) === -1 ) {
+            throw new Error('Query: ' + method + '() is not supported for ' + this.type);
+        }
+        return this;
+    },
+    /** @private */
+    bound     : function ( method ) {
+        if ( !this.sql ) {
+            throw new Error('Query: ' + method + '() requires a query created by a PosgreSQL instance');
+        }
+        return this.sql;
+    },
+    /**
+     * Columns to select.  Each is a column name ('name', 'u.name', 'u.*', 'name AS n'), a
+     * Query.raw() expression, or an object of { alias : column name or expression }.
+     * All columns (*) are selected if this isn't called.
+     *
+     * @method columns
+     * @param {...string|Raw|object} columns
+     * @return {Query} this
+     */
+    columns   : function () {
+        var columns = this.only([ 'select' ], 'columns').parts.columns;
+        decaf.each(Array.prototype.slice.call(arguments), function ( column ) {
+            if ( isArray(column) ) {
+                columns.push.apply(columns, column);
+            }
+            else if ( isPlainObject(column) ) {
+                decaf.each(column, function ( expression, alias ) {
+                    columns.push({ alias : alias, expression : expression });
+                });
+            }
+            else {
+                columns.push(column);
+            }
+        });
+        return this;
+    },
+    /**
+     * SELECT DISTINCT
+     *
+     * @method distinct
+     * @return {Query} this
+     */
+    distinct  : function () {
+        this.only([ 'select' ], 'distinct').parts.distinct = true;
+        return this;
+    },
+    /** @private */
+    addJoin   : function ( kind, table, left, right ) {
+        var on = right === undefined ? toRaw(left) : new Raw(quoteIdent(left) + ' = ' + quoteIdent(right));
+        this.only([ 'select' ], 'join').parts.joins.push({ kind : kind, table : table, on : on });
+        return this;
+    },
+    /**
+     * INNER JOIN a table, on two columns being equal, or on a condition:
+     * join('orders o', 'o.userId', 'u.id') or join('orders o', 'o.userId = u.id AND o.total > $1', [ 100 ])
+     *
+     * @method join
+     * @param {string} table table name, optionally followed by an alias
+     * @param {string|Raw} left column name, or the join condition
+     * @param {string|Array} right column name, or the values for the condition's placeholders
+     * @return {Query} this
+     */
+    join      : function ( table, left, right ) {
+        return isArray(right) ? this.addJoin('JOIN', table, new Raw(left, right)) : this.addJoin('JOIN', table, left, right);
+    },
+    /**
+     * LEFT JOIN a table, see join()
+     *
+     * @method leftJoin
+     * @param {string} table
+     * @param {string|Raw} left
+     * @param {string|Array} right
+     * @return {Query} this
+     */
+    leftJoin  : function ( table, left, right ) {
+        return isArray(right) ? this.addJoin('LEFT JOIN', table, new Raw(left, right)) : this.addJoin('LEFT JOIN', table, left, right);
+    },
+    /**
+     * RIGHT JOIN a table, see join()
+     *
+     * @method rightJoin
+     * @param {string} table
+     * @param {string|Raw} left
+     * @param {string|Array} right
+     * @return {Query} this
+     */
+    rightJoin : function ( table, left, right ) {
+        return isArray(right) ? this.addJoin('RIGHT JOIN', table, new Raw(left, right)) : this.addJoin('RIGHT JOIN', table, left, right);
+    },
+    /**
+     * Add conditions, which are ANDed with the conditions already added.
+     *
+     * Pass an object of { column : value } pairs: null matches NULL, an array matches any
+     * of its values, and an object of { operator : value } compares with the operators
+     * =, <>, !=, <, <=, >, >=, like, not like, ilike, not ilike, in, not in, is and is not.
+     * Or pass a condition as SQL text with its own $1, $2, ... placeholders and their values.
+     *
+     * @method where
+     * @param {object|string|Raw} condition
+     * @param {Array} values (optional) values for a SQL text condition
+     * @return {Query} this
+     * @example
+     query.where({ status : 'open', assignee : null, priority : { '>=' : 3 } });
+     query.where('created > $1 OR updated > $1', [ since ]);
+     */
+    where     : function ( condition, values ) {
+        this.only([ 'select', 'update', 'delete' ], 'where').parts.where.push(toRaw(condition, values));
+        return this;
+    },
+    /**
+     * Columns to GROUP BY
+     *
+     * @method groupBy
+     * @param {...string|Raw} columns
+     * @return {Query} this
+     */
+    groupBy   : function () {
+        var groupBy = this.only([ 'select' ], 'groupBy').parts.groupBy;
+        groupBy.push.apply(groupBy, Array.prototype.slice.call(arguments));
+        return this;
+    },
+    /**
+     * Add HAVING conditions, in any of the forms where() takes.
+     *
+     * @method having
+     * @param {object|string|Raw} condition
+     * @param {Array} values (optional) values for a SQL text condition
+     * @return {Query} this
+     */
+    having    : function ( condition, values ) {
+        this.only([ 'select' ], 'having').parts.having.push(toRaw(condition, values));
+        return this;
+    },
+    /**
+     * Add a column to ORDER BY.
+     *
+     * @method orderBy
+     * @param {string|Raw} column
+     * @param {string} direction (optional) 'asc' (default) or 'desc'
+     * @return {Query} this
+     */
+    orderBy   : function ( column, direction ) {
+        direction = String(direction || 'asc').toUpperCase();
+        if ( direction !== 'ASC' && direction !== 'DESC' ) {
+            throw new Error('Query: invalid order direction ' + direction);
+        }
+        this.only([ 'select' ], 'orderBy').parts.orderBy.push({ column : column, direction : direction });
+        return this;
+    },
+    /**
+     * @method limit
+     * @param {int} count maximum number of rows to return
+     * @return {Query} this
+     */
+    limit     : function ( count ) {
+        this.only([ 'select' ], 'limit').parts.limit = count;
+        return this;
+    },
+    /**
+     * @method offset
+     * @param {int} count number of rows to skip
+     * @return {Query} this
+     */
+    offset    : function ( count ) {
+        this.only([ 'select' ], 'offset').parts.offset = count;
+        return this;
+    },
+    /**
+     * Rows to insert: an object of { column : value }, or an array of them.  Columns missing
+     * from some rows get their DEFAULT.  A value may be a Query.raw() expression.
+     *
+     * @method values
+     * @param {object|Array} rows
+     * @return {Query} this
+     */
+    values    : function ( rows ) {
+        var parts = this.only([ 'insert' ], 'values').parts;
+        parts.rows = parts.rows.concat(isArray(rows) ? rows : [ rows ]);
+        return this;
+    },
+    /**
+     * Columns to update: an object of { column : value }.  A value may be a Query.raw()
+     * expression, e.g. { count : Query.raw('count + 1') }
+     *
+     * @method set
+     * @param {object} values
+     * @return {Query} this
+     */
+    set       : function ( values ) {
+        var parts = this.only([ 'update' ], 'set').parts;
+        parts.set = decaf.extend(parts.set || {}, values);
+        return this;
+    },
+    /**
+     * Columns to return from the affected rows, all of them (*) if none are given.
+     *
+     * @method returning
+     * @param {...string|Raw} columns
+     * @return {Query} this
+     */
+    returning : function () {
+        var returning = this.only([ 'insert', 'update', 'delete' ], 'returning').parts.returning,
+            columns = Array.prototype.slice.call(arguments);
+        returning.push.apply(returning, columns.length ? columns : [ '*' ]);
+        return this;
+    },
+    /**
+     * Build the query.
+     *
+     * @method toSQL
+     * @return {object} { text : query with $1, $2, ... placeholders, values : values for them }
+     */
+    toSQL     : function () {
+        var parts = this.parts,
+            params = new Params(),
+            text;
+
+        function columnList( columns ) {
+            return columns.map(function ( column ) {
+                if ( column && column.alias !== undefined ) {
+                    return columnText(column.expression, params) + ' AS ' + quoteIdent(column.alias);
+                }
+                return columnText(column, params);
+            }).join(', ');
+        }
+
+        function returning() {
+            return parts.returning.length ? ' RETURNING ' + columnList(parts.returning) : '';
+        }
+
+        switch ( this.type ) {
+            case 'select':
+                text = 'SELECT ' + (parts.distinct ? 'DISTINCT ' : '') +
+                    (parts.columns.length ? columnList(parts.columns) : '*') +
+                    ' FROM ' + quoteTable(this.table);
+                decaf.each(parts.joins, function ( join ) {
+                    text += ' ' + join.kind + ' ' + quoteTable(join.table) + ' ON ' + params.fragment(join.on);
+                });
+                text += conditionsText('WHERE', parts.where, params);
+                if ( parts.groupBy.length ) {
+                    text += ' GROUP BY ' + columnList(parts.groupBy);
+                }
+                text += conditionsText('HAVING', parts.having, params);
+                if ( parts.orderBy.length ) {
+                    text += ' ORDER BY ' + parts.orderBy.map(function ( order ) {
+                            return columnText(order.column, params) + ' ' + order.direction;
+                        }).join(', ');
+                }
+                if ( parts.limit !== null && parts.limit !== undefined ) {
+                    text += ' LIMIT ' + params.value(parts.limit);
+                }
+                if ( parts.offset !== null && parts.offset !== undefined ) {
+                    text += ' OFFSET ' + params.value(parts.offset);
+                }
+                break;
+            case 'insert':
+                var columns = [];
+                if ( !parts.rows.length ) {
+                    throw new Error('Query: insert without values');
+                }
+                decaf.each(parts.rows, function ( row ) {
+                    decaf.each(row, function ( value, column ) {
+                        if ( columns.indexOf(column) === -1 ) {
+                            columns.push(column);
+                        }
+                    });
+                });
+                text = 'INSERT INTO ' + quoteIdent(this.table);
+                if ( columns.length ) {
+                    text += ' (' + columns.map(function ( column ) {
+                        return quoteIdent(column);
+                    }).join(', ') + ') VALUES ' + parts.rows.map(function ( row ) {
+                            return '(' + columns.map(function ( column ) {
+                                    return row[ column ] === undefined ? 'DEFAULT' : params.value(row[ column ]);
+                                }).join(', ') + ')';
+                        }).join(', ');
+                }
+                else {
+                    text += ' DEFAULT VALUES';
+                }
+                text += returning();
+                break;
+            case 'update':
+                var assignments = [];
+                decaf.each(parts.set || {}, function ( value, column ) {
+                    if ( value !== undefined ) {
+                        assignments.push(quoteIdent(column) + ' = ' + params.value(value));
+                    }
+                });
+                if ( !assignments.length ) {
+                    throw new Error('Query: update without set');
+                }
+                text = 'UPDATE ' + quoteTable(this.table) + ' SET ' + assignments.join(', ') +
+                    conditionsText('WHERE', parts.where, params) + returning();
+                break;
+            case 'delete':
+                text = 'DELETE FROM ' + quoteTable(this.table) + conditionsText('WHERE', parts.where, params) + returning();
+                break;
+        }
+        return { text : text, values : params.values };
+    },
+    /**
+     * @method toString
+     * @return {string} the query text
+     */
+    toString  : function () {
+        return this.toSQL().text;
+    },
+    /**
+     * Run a SELECT and return the rows (see PosgreSQL getDataRows())
+     *
+     * @method rows
+     * @param {object} options (optional) options for getDataRows()
+     * @return {Array} array of objects
+     */
+    rows      : function ( options ) {
+        return this.bound('rows').getDataRows(this, undefined, options);
+    },
+    /**
+     * Run a SELECT and return the first row
+     *
+     * @method row
+     * @param {object} options (optional) options for getDataRows()
+     * @return {object} the row, or undefined
+     */
+    row       : function ( options ) {
+        return this.bound('row').getDataRow(this, undefined, options);
+    },
+    /**
+     * Run a SELECT and return the first column of the first row
+     *
+     * @method scalar
+     * @param {object} options (optional) options for getDataRows()
+     * @return {*} the value
+     */
+    scalar    : function ( options ) {
+        return this.bound('scalar').getScalar(this, undefined, options);
+    },
+    /**
+     * Run a SELECT and call fn with each row (see PosgreSQL eachRow())
+     *
+     * @method each
+     * @param {function} fn called with each row and its index, return false to stop
+     * @param {object} options (optional) options for eachRow()
+     * @return {int} number of rows passed to fn
+     */
+    each      : function ( fn, options ) {
+        return this.bound('each').eachRow(this, undefined, fn, options);
+    },
+    /**
+     * Run an INSERT, UPDATE or DELETE (see PosgreSQL execute())
+     *
+     * @method run
+     * @return {object} { rowCount, rows } rows are the rows returned by returning()
+     */
+    run       : function () {
+        return this.bound('run').execute(this);
+    }
+});
+
+decaf.extend(exports, {
+    Query : Query
+});
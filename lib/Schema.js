@@ -3,7 +3,8 @@
 
 "use strict";
 
-var {Thread} = require('Threads');
+var {Thread} = require('Threads'),
+    {quoteIdent, quoteLiteral} = require('./Escape');
 
 
 function isString(s) {
@@ -15,12 +16,279 @@ function isArray(a) {
 function isFunction(f) {
     return toString.apply(f) === '[object Function]';
 }
-function quoteName(s) {
-    return '"' + s + '"';
+/**
+ * Quote a (possibly schema qualified) name; the arguments are concatenated,
+ * e.g. quoteName(table, '.', column)
+ */
+function quoteName() {
+    return quoteIdent(Array.prototype.slice.call(arguments).join(''));
+}
+/**
+ * Quote a collation name as one identifier: names like en_US.utf8 hold a dot
+ */
+function quoteCollation(collation) {
+    return '"' + String(collation).replace(/"/g, '""') + '"';
 }
 function empty(o) {
     return o === undefined;
 }
+/**
+ * Quote a comma separated list of column names
+ */
+function quoteColumns(columns) {
+    return columns.split(',').map(function (column) {
+        return quoteName(column.trim());
+    }).join(', ');
+}
+/**
+ * true if a value is SQL marked with Schema.fn()
+ */
+function isExpression(value) {
+    return isString(value) && value.charAt(0) === '=';
+}
+/**
+ * SQL type of a field, as used in CREATE TABLE and ALTER TABLE ADD COLUMN, or with alter
+ * true in ALTER COLUMN TYPE, where serial types don't exist
+ */
+function columnType(field, alter) {
+    if (field.autoIncrement) {
+        if (baseType(field) === 'int8') {
+            return alter ? 'bigint' : 'bigserial';
+        }
+        return alter ? 'integer' : 'serial';
+    }
+    if (field.type === 'varchar' && field.size) {
+        return 'varchar(' + field.size + ')';
+    }
+    if ((field.type === 'numeric' || field.type === 'decimal') && field.precision !== undefined && field.precision !== null) {
+        return field.type + '(' + field.precision + (field.scale !== undefined && field.scale !== null ? ', ' + field.scale : '') + ')';
+    }
+    return field.type;
+}
+/**
+ * SQL of a field's default: a Schema.fn() expression or a literal
+ */
+function defaultSql(field) {
+    return isExpression(field['default']) ? field['default'].substr(1) : quoteLiteral(field['default']);
+}
+/**
+ * true if a field has a column default (null removes it)
+ */
+function hasDefault(field) {
+    return field['default'] !== undefined && field['default'] !== null && !field.autoIncrement;
+}
+/**
+ * Column definition of a field, as used in CREATE TABLE and ALTER TABLE ADD COLUMN;
+ * NOT NULL is left out if notNull is false
+ */
+function columnDefinition(field, notNull) {
+    var definition = quoteName(field.name) + ' ' + columnType(field);
+
+    if (field.collation) {
+        definition += ' COLLATE ' + quoteCollation(field.collation);
+    }
+    if (hasDefault(field)) {
+        definition += ' DEFAULT ' + defaultSql(field);
+    }
+    if (field.nullable === false && notNull !== false) {
+        definition += ' NOT NULL';
+    }
+    if (field.unique) {
+        definition += ' UNIQUE';
+    }
+    if (field.check) {
+        definition += ' CHECK (' + field.check + ')';
+    }
+    return definition;
+}
+/**
+ * Normalize a SQL expression as PostgreSQL prints it back (see Schema.getFromTable) or as
+ * written in a schema, for comparison: casts, parentheses, double quotes and whitespace
+ * outside string literals are removed, and the rest lower cased.  Negative numbers are
+ * printed back quoted and cast to a numeric type, e.g. '-1'::integer, and are unquoted.
+ */
+function normalizeSql(sql) {
+    return String(sql).replace(/'(-?\d+(?:\.\d+)?)'(?=\s*::\s*(?:integer|bigint|smallint|numeric|real|double precision)\b)/g, '$1').split(/('(?:[^']|'')*')/).map(function (part, ndx) {
+        if (ndx % 2) {
+            return part;
+        }
+        return part.replace(/::\s*(character varying|timestamp with(?:out)? time zone|double precision|"?\w+"?)(\[\])?/gi, '')
+            .replace(/[\s()"]/g, '').toLowerCase();
+    }).join('');
+}
+/**
+ * true if a schema field and a field read from the database (see Schema.getFromTable) have the same type
+ */
+function fieldTypeCompare(srcField, dstField) {
+    if (srcField.collation && srcField.collation !== dstField.collation) {
+        return false;
+    }
+    if (baseType(srcField) === baseType(dstField)) {
+        if (baseType(srcField) === 'varchar') {
+            // no size (unlimited) reads back as null
+            return (parseInt(srcField.size, 10) || null) === (parseInt(dstField.size, 10) || null);
+        }
+        else if (baseType(srcField) === 'int4') {
+            if (!srcField.autoIncrement === !dstField.autoIncrement) {
+                return true;
+            }
+        }
+        else if (baseType(srcField) === 'numeric') {
+            return String(srcField.precision || '') === String(dstField.precision || '') &&
+                String(srcField.scale || 0) === String(dstField.scale || 0);
+        }
+        else {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Canonical names of SQL types that have more than one
+ */
+var typeAliases = {
+    'int'                         : 'int4',
+    'integer'                     : 'int4',
+    'serial'                      : 'int4',
+    'bigint'                      : 'int8',
+    'bigserial'                   : 'int8',
+    'smallint'                    : 'int2',
+    'tinyint'                     : 'int2',
+    'real'                        : 'float4',
+    'float'                       : 'float8',
+    'double precision'            : 'float8',
+    'boolean'                     : 'bool',
+    'character varying'           : 'varchar',
+    'decimal'                     : 'numeric',
+    'timestamp without time zone' : 'timestamp',
+    'timestamp with time zone'    : 'timestamptz'
+};
+/**
+ * Types each type can be changed to without losing values (besides text, which takes anything)
+ */
+var widerTypes = {
+    int2      : ['int4', 'int8', 'numeric', 'float4', 'float8'],
+    int4      : ['int8', 'numeric', 'float8'],
+    int8      : ['numeric'],
+    float4    : ['float8'],
+    timestamp : ['timestamptz']
+};
+function baseType(field) {
+    var type = String(field.type).toLowerCase();
+    return typeAliases[type] || type;
+}
+/**
+ * true if changing a column from one field's type to another's can lose values
+ */
+function narrows(from, to) {
+    var fromType = baseType(from),
+        toType = baseType(to);
+
+    if (toType === 'text' || (fromType === 'varchar' && !to.size && toType === 'varchar')) {
+        return false;
+    }
+    if (fromType === toType) {
+        if (fromType === 'numeric') {
+            // fewer digits before or after the decimal point
+            return !!to.precision && (!from.precision ||
+                to.precision - (to.scale || 0) < from.precision - (from.scale || 0) || (to.scale || 0) < (from.scale || 0));
+        }
+        return fromType === 'varchar' && (!from.size || parseInt(to.size, 10) < parseInt(from.size, 10));
+    }
+    return (widerTypes[fromType] || []).indexOf(toType) === -1;
+}
+/**
+ * Types a string, which is bound as varchar, is stored in or compared to without a cast
+ */
+var characterTypes = ['varchar', 'text', 'char', 'character', 'bpchar', 'citext', 'name'];
+/**
+ * Add a value bound to a field's column to params and return its placeholder; strings are
+ * cast to the column's type unless it is a character type
+ */
+function placeholder(field, value, params) {
+    var type = baseType(field);
+
+    params.push(value);
+    return '$' + params.length + (isString(value) && characterTypes.indexOf(type) === -1 ? '::' + type : '');
+}
+/**
+ * Name of a schema's primary key column(s): its primaryKey, or its autoIncrement field
+ */
+function primaryKeyOf(schema) {
+    var primaryKey = schema.primaryKey || null;
+    if (!primaryKey) {
+        decaf.each(schema.fields, function (field) {
+            if (field.autoIncrement && !field.reserved && !field.clientOnly) {
+                primaryKey = field.name;
+            }
+        });
+    }
+    return primaryKey;
+}
+/**
+ * Name of the index created for one of a schema's indexes
+ */
+function indexName(schema, index) {
+    return schema.name + '_' + index;
+}
+/**
+ * Options of the catalog reads that decide which statements change a table: they go to
+ * the primary, which replicas may lag behind
+ */
+var catalog = {primary : true};
+/**
+ * Subquery for the schema of the table named $1 that unqualified names resolve to, to
+ * narrow information_schema queries down to it
+ */
+var visibleSchema = '(SELECT n.nspname FROM pg_class t JOIN pg_namespace n ON n.oid = t.relnamespace ' +
+    'WHERE t.relname = $1 AND pg_table_is_visible(t.oid))';
+/**
+ * Comment on the indexes created for schemas' indexes, so hand made indexes are told apart
+ */
+var indexComment = 'Schema index';
+/**
+ * CREATE INDEX statement, and the COMMENT marking the index as the schema's, for one of a schema's indexes
+ */
+function createIndex(schema, index) {
+    var indexed = quoteName(indexName(schema, index));
+    return [
+        'CREATE INDEX ' + indexed + ' ON ' + quoteName(schema.name) + '(' + quoteColumns(index) + ')',
+        'COMMENT ON INDEX ' + indexed + ' IS ' + quoteLiteral(indexComment)
+    ];
+}
+/**
+ * CREATE TABLE and CREATE INDEX statements for a schema
+ */
+function createStatements(schema) {
+    var query = [
+            'CREATE TABLE ' + quoteName(schema.name) + ' ('
+        ],
+        primaryKey = primaryKeyOf(schema),
+        statements;
+
+    decaf.each(schema.fields, function (field) {
+        if (!field.reserved && !field.clientOnly) {
+            query.push('	' + columnDefinition(field) + ',');
+        }
+    });
+    if (schema.primaryKey) {
+        query.push('	Primary Key(' + quoteName(schema.primaryKey) + ')');
+    }
+    else if (primaryKey) {
+        query.push('	Primary Key(' + quoteName(primaryKey) + ')');
+    }
+    else {
+        var len = query.length - 1;
+        query[len] = query[len].replace(/,$/, '');
+    }
+    query.push(')');
+    statements = [ query.join('\n') ];
+    decaf.each(schema.indexes || [], function (index) {
+        statements = statements.concat(createIndex(schema, index));
+    });
+    return statements;
+}
 
 /**
  * @example
@@ -42,6 +310,8 @@ function empty(o) {
  * <li>indexes {array} indexes to be created for the table,
  * field name or names separated by comma per index</li>
  * <li>onCreate {function} optional function to call when table is created
+ * <li>allowDropColumns {boolean} true to let change() drop columns missing from the schema (see plan())</li>
+ * <li>allowTypeNarrowing {boolean} true to let change() change column types in ways that can lose values</li>
  *
  * <p>Required members of a field definition are:</p>
  * <ul>
@@ -53,7 +323,19 @@ function empty(o) {
  * <ul>
  * <li>defaultValue {object} default value of the field, as when a new record is created</li>
  * <li>autoIncrement {boolean} true if this is an auto_increment field</li>
+ * <li>nullable {boolean} false for a NOT NULL column</li>
+ * <li>default {object} the column's DEFAULT: a literal value, or SQL marked with Schema.fn(),
+ * e.g. Schema.fn('now()'); null for none.  A literal is also the field's value in new records
+ * if there's no defaultValue</li>
+ * <li>unique {boolean} true for a UNIQUE column</li>
+ * <li>check {string} SQL expression of a CHECK constraint on the column, e.g. 'age >= 0'</li>
+ * <li>precision {int} and scale {int} of a numeric field</li>
+ * <li>collation {string} the column's collation, e.g. 'C'</li>
+ * <li>renamedFrom {string} name of the column the field used to be; change() renames it.
+ * Without it, a renamed field is a dropped column and an added one</li>
  * <li>ALL OTHER members are ignored at this time</li>
+ * <p>Schema.change() leaves nullability, the default, and unique and check constraints as
+ * they are in the database for fields that don't define them.</p>
  * </ul>
  * <p>An example Schema definition:</p>
  * <pre>
@@ -83,6 +365,7 @@ function empty(o) {
  */
 var Schema = function () {
     var schemas = {};
+    var tables = {};    // names of the schemas added with add(), which have a database table
     var onStartFuncs = [];
 
 
@@ -112,11 +395,20 @@ var Schema = function () {
             }
             return field.defaultValue;
         }
+        if (hasDefault(field) && !isExpression(field['default'])) {
+            return field['default'];
+        }
         switch (field.type) {
             case 'int':
                 return 0;
             case 'tinyint':
                 return 0;
+            case 'date':
+            case 'time':
+            case 'timetz':
+            case 'timestamp':
+            case 'timestamptz':
+                return null;
             default:
                 return '';
         }
@@ -136,7 +428,8 @@ var Schema = function () {
         var schema = getSchema(name);
         name = schema.name;
         example = example || {};
-        var where = Schema.where(name, example);
+        var params = [];
+        var where = Schema.where(name, example, params);
         var query = [
             'SELECT',
             '       *',
@@ -148,12 +441,312 @@ var Schema = function () {
             query.push(where.join(' AND '));
         }
         if (single) {
-            var ret = SQL.getDataRow(query);
+            var ret = SQL.getDataRow(query, params);
             return empty(ret) ? [] : Schema.onLoad(schema, ret);
         }
         else {
-            return Schema.onLoad(schema, SQL.getDataRows(query));
+            return Schema.onLoad(schema, SQL.getDataRows(query, params));
+        }
+    }
+
+    /**
+     * The indexes of a table: [ { name, primary, unique, definition (CREATE INDEX statement),
+     * schemaIndex (true if created for a schema's index) } ]
+     *
+     * @private
+     */
+    function tableIndexes(name, database) {
+        return database.getDataRows([
+            'SELECT',
+            '   i.relname AS name, ix.indisprimary AS primary_key, ix.indisunique AS is_unique,',
+            "   pg_get_indexdef(ix.indexrelid) AS definition, obj_description(ix.indexrelid, 'pg_class') AS comment",
+            'FROM',
+            '   pg_index ix',
+            '   JOIN pg_class i ON i.oid = ix.indexrelid',
+            '   JOIN pg_class t ON t.oid = ix.indrelid',
+            'WHERE',
+            "   t.relkind = 'r'",
+            '   AND t.relname = $1',
+            '   AND pg_table_is_visible(t.oid)'
+        ], [name], catalog).map(function (row) {
+            return {
+                name       : row.name,
+                primary    : row.primary_key,
+                unique     : row.is_unique,
+                definition  : row.definition,
+                schemaIndex : row.comment === indexComment
+            };
+        });
+    }
+
+    /**
+     * The operations that make a schema's table match the schema, see Schema.plan().
+     * database is the PostgreSQL instance the table is in.
+     *
+     * @private
+     */
+    function planTable(schema, database) {
+        var name = schema.name,
+            table = quoteName(name),
+            operations = [],
+            existing,
+            srcFields = {},
+            dstFields = {},
+            fieldsProcessed = {},
+            indexes,
+            primaryIndex = null,
+            existingIndexes = {},
+            primaryKey,
+            existingKey,
+            renamed = {};
+
+        function operation(op, members, sql, undo) {
+            operations.push(decaf.extend({op : op, table : name}, members, {
+                sql     : sql,
+                undo    : undo,
+                refused : false
+            }));
+        }
+
+        function refuse(reason) {
+            var last = operations[operations.length - 1];
+            last.refused = true;
+            last.reason = reason;
+        }
+
+        function addColumn(field) {
+            // NOT NULL is set once existing rows have a value
+            var sql = ['ALTER TABLE ' + table + ' ADD COLUMN ' + columnDefinition(field, false)],
+                value = field.autoIncrement || hasDefault(field) ? null : defaultValue(field);
+
+            if (value !== null && value !== undefined) {
+                // initialize new field with default value in all records:
+                sql.push('UPDATE ' + table + ' SET ' + quoteName(field.name) + '=' + database.quote(value));
+            }
+            if (field.nullable === false) {
+                sql.push('ALTER TABLE ' + table + ' ALTER COLUMN ' + quoteName(field.name) + ' SET NOT NULL');
+            }
+            operation('addColumn', {column : field.name}, sql, ['ALTER TABLE ' + table + ' DROP COLUMN ' + quoteName(field.name)]);
+            if (field.nullable === false && !field.autoIncrement && !hasDefault(field) && (value === null || value === undefined)) {
+                refuse('adding column ' + field.name + ' NOT NULL leaves existing rows without a value, give the field a default');
+            }
+        }
+
+        // changes to a column's nullability, default and constraints; options the schema
+        // field leaves undefined are left as they are
+        function alterAttributes(srcField, dstField) {
+            var column = quoteName(srcField.name),
+                alter = 'ALTER TABLE ' + table + ' ALTER COLUMN ' + column,
+                key = (existing.primaryKey || '').split(',').indexOf(dstField.name) !== -1,
+                constraint;
+
+            if (srcField.nullable !== undefined && !srcField.autoIncrement && !key && !srcField.nullable !== !dstField.nullable) {
+                if (srcField.nullable) {
+                    operation('dropNotNull', {column : srcField.name}, [alter + ' DROP NOT NULL'], [alter + ' SET NOT NULL']);
+                }
+                else {
+                    operation('setNotNull', {column : srcField.name}, [alter + ' SET NOT NULL'], [alter + ' DROP NOT NULL']);
+                }
+            }
+            if (srcField['default'] !== undefined && !srcField.autoIncrement) {
+                if (!hasDefault(srcField)) {
+                    if (hasDefault(dstField)) {
+                        operation('dropDefault', {column : srcField.name, from : defaultSql(dstField)},
+                            [alter + ' DROP DEFAULT'], [alter + ' SET DEFAULT ' + defaultSql(dstField)]);
+                    }
+                }
+                else if (!hasDefault(dstField) || normalizeSql(defaultSql(srcField)) !== normalizeSql(defaultSql(dstField))) {
+                    operation('setDefault', {
+                        column : srcField.name,
+                        from   : hasDefault(dstField) ? defaultSql(dstField) : null,
+                        to     : defaultSql(srcField)
+                    }, [
+                        alter + ' SET DEFAULT ' + defaultSql(srcField)
+                    ], [
+                        hasDefault(dstField) ? alter + ' SET DEFAULT ' + defaultSql(dstField) : alter + ' DROP DEFAULT'
+                    ]);
+                }
+            }
+            if (srcField.unique !== undefined && !srcField.unique !== !dstField.unique) {
+                if (srcField.unique) {
+                    constraint = quoteName(name + '_' + srcField.name + '_key');
+                    operation('addUnique', {column : srcField.name}, [
+                        'ALTER TABLE ' + table + ' ADD CONSTRAINT ' + constraint + ' UNIQUE (' + column + ')'
+                    ], [
+                        'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + constraint
+                    ]);
+                }
+                else {
+                    constraint = quoteName(dstField.uniqueConstraint);
+                    operation('dropUnique', {column : srcField.name}, [
+                        'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + constraint
+                    ], [
+                        'ALTER TABLE ' + table + ' ADD CONSTRAINT ' + constraint + ' UNIQUE (' + column + ')'
+                    ]);
+                }
+            }
+            if (srcField.check !== undefined && (!srcField.check !== !dstField.check ||
+                (srcField.check && normalizeSql(srcField.check) !== normalizeSql(dstField.check)))) {
+                if (dstField.check) {
+                    constraint = quoteName(dstField.checkConstraint);
+                    operation('dropCheck', {column : srcField.name, check : dstField.check}, [
+                        'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + constraint
+                    ], [
+                        'ALTER TABLE ' + table + ' ADD CONSTRAINT ' + constraint + ' CHECK (' + dstField.check + ')'
+                    ]);
+                }
+                if (srcField.check) {
+                    constraint = quoteName(name + '_' + srcField.name + '_check');
+                    operation('addCheck', {column : srcField.name, check : srcField.check}, [
+                        'ALTER TABLE ' + table + ' ADD CONSTRAINT ' + constraint + ' CHECK (' + srcField.check + ')'
+                    ], [
+                        'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + constraint
+                    ]);
+                }
+            }
+        }
+
+        function alterType(srcField, dstField) {
+            var column = quoteName(srcField.name);
+            operation('alterColumnType', {
+                column    : srcField.name,
+                from      : columnType(dstField, true),
+                to        : columnType(srcField, true),
+                narrowing : narrows(dstField, srcField)
+            }, [
+                'ALTER TABLE ' + table + ' ALTER COLUMN ' + column + ' TYPE ' + columnType(srcField, true) +
+                (srcField.collation ? ' COLLATE ' + quoteCollation(srcField.collation) : '')
+            ], [
+                'ALTER TABLE ' + table + ' ALTER COLUMN ' + column + ' TYPE ' + columnType(dstField, true) +
+                (dstField.collation ? ' COLLATE ' + quoteCollation(dstField.collation) : '')
+            ]);
+            if (narrows(dstField, srcField) && !schema.allowTypeNarrowing) {
+                refuse('changing column ' + srcField.name + ' from ' + columnType(dstField, true) + ' to ' + columnType(srcField, true) +
+                    ' can lose values, set allowTypeNarrowing in the schema to allow it');
+            }
+        }
+
+        if (!Schema.exists(name, database)) {
+            operation('createTable', {}, createStatements(schema), ['DROP TABLE ' + table]);
+            return operations;
+        }
+        existing = Schema.getFromTable(name, database);
+
+        // index source fields
+        decaf.each(schema.fields, function (field) {
+            if (!field.reserved && !field.clientOnly) {
+                srcFields[field.name] = field;
+            }
+        });
+        // index destination fields
+        decaf.each(existing.fields, function (field) {
+            dstFields[field.name] = field;
+        });
+
+        // match up schema fields with existing fields of the same name
+        decaf.each(srcFields, function (srcField) {
+            var dstField = dstFields[srcField.name];
+            if (dstField) {
+                if (!fieldTypeCompare(srcField, dstField)) {
+                    alterType(srcField, dstField);
+                }
+                delete dstFields[srcField.name];
+                fieldsProcessed[srcField.name] = dstField;
+            }
+        });
+
+        // columns renamed to schema fields that name them in renamedFrom; columns are
+        // never taken to be renamed otherwise
+        decaf.each(srcFields, function (srcField) {
+            var dstField = srcField.renamedFrom && dstFields[srcField.renamedFrom];
+            if (fieldsProcessed[srcField.name] || !dstField) {
+                return;
+            }
+            operation('renameColumn', {from : dstField.name, to : srcField.name}, [
+                'ALTER TABLE ' + table + ' RENAME COLUMN ' + quoteName(dstField.name) + ' TO ' + quoteName(srcField.name)
+            ], [
+                'ALTER TABLE ' + table + ' RENAME COLUMN ' + quoteName(srcField.name) + ' TO ' + quoteName(dstField.name)
+            ]);
+            if (!fieldTypeCompare(srcField, dstField)) {
+                alterType(srcField, dstField);
+            }
+            delete dstFields[dstField.name];
+            fieldsProcessed[srcField.name] = dstField;
+            renamed[dstField.name] = srcField.name;
+        });
+
+        // remove remaining destination fields
+        decaf.each(dstFields, function (dstField) {
+            operation('dropColumn', {column : dstField.name}, [
+                'ALTER TABLE ' + table + ' DROP COLUMN ' + quoteName(dstField.name)
+            ], [
+                'ALTER TABLE ' + table + ' ADD COLUMN ' + columnDefinition(dstField)
+            ]);
+            if (!schema.allowDropColumns) {
+                refuse('dropping column ' + dstField.name + ' loses its data, set allowDropColumns in the schema to allow it');
+            }
+        });
+
+        // add any remaining source fields, and change the attributes of the others
+        decaf.each(srcFields, function (srcField) {
+            if (!fieldsProcessed[srcField.name]) {
+                addColumn(srcField);
+            }
+            else {
+                alterAttributes(srcField, fieldsProcessed[srcField.name]);
+            }
+        });
+
+        indexes = tableIndexes(name, database);
+        decaf.each(indexes, function (index) {
+            if (index.primary) {
+                primaryIndex = index.name;
+            }
+            else {
+                existingIndexes[index.name] = index;
+            }
+        });
+
+        primaryKey = primaryKeyOf(schema);
+        existingKey = existing.primaryKey ? existing.primaryKey.split(',').map(function (column) {
+            return renamed[column] || column;
+        }).join(',') : null;
+        if ((primaryKey && primaryKey.replace(/\s+/g, '')) !== existingKey) {
+            if (existingKey) {
+                operation('dropPrimaryKey', {columns : existingKey}, [
+                    'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + quoteName(primaryIndex || name + '_pkey')
+                ], [
+                    'ALTER TABLE ' + table + ' ADD PRIMARY KEY (' + quoteColumns(existingKey) + ')'
+                ]);
+            }
+            if (primaryKey) {
+                operation('addPrimaryKey', {columns : primaryKey}, [
+                    'ALTER TABLE ' + table + ' ADD PRIMARY KEY (' + quoteColumns(primaryKey) + ')'
+                ], [
+                    'ALTER TABLE ' + table + ' DROP CONSTRAINT ' + quoteName(name + '_pkey')
+                ]);
+            }
         }
+
+        decaf.each(schema.indexes || [], function (index) {
+            var indexed = indexName(schema, index);
+            if (existingIndexes[indexed]) {
+                delete existingIndexes[indexed];
+            }
+            else {
+                operation('createIndex', {index : indexed}, createIndex(schema, index), ['DROP INDEX ' + quoteName(indexed)]);
+            }
+        });
+        // delete old indexes not in the schema; only the ones created for a schema's index, others were made by hand
+        decaf.each(existingIndexes, function (index) {
+            if (index.schemaIndex) {
+                operation('dropIndex', {index : index.name}, ['DROP INDEX ' + quoteName(index.name)], [
+                    index.definition,
+                    'COMMENT ON INDEX ' + quoteName(index.name) + ' IS ' + quoteLiteral(indexComment)
+                ]);
+            }
+        });
+        return operations;
     }
 
     /** @private **/
@@ -205,11 +798,23 @@ var Schema = function () {
             return extjs;
         },
 
+        /**
+         * <p>true to have add() alter existing tables to match their schema (see change()).</p>
+         *
+         * <p>false by default: schema changes are made with migrations (see Migrator), and
+         * add() only logs that an existing table differs from its schema.</p>
+         *
+         * @property autoChange
+         * @type {boolean}
+         */
+        autoChange : false,
+
         /**
          * <p>Add a schema</p>
          *
          * <p>If the database table for the schema does not exist, it is
-         * created.</p>
+         * created.  If it does and differs from the schema, that is logged
+         * (see plan()), or it is altered to match if autoChange is true.</p>
          *
          * @method add
          * @param {object} schema schema definition
@@ -218,6 +823,7 @@ var Schema = function () {
         add : function (schema) {
             var name = schema.name;
             schemas[name] = schema;
+            tables[name] = true;
 
             if (schema.primaryKey) {
                 decaf.each(schema.fields, function (field) {
@@ -228,20 +834,23 @@ var Schema = function () {
                 });
             }
 
-            // this try/catch determines if the table exists in the database
+            // errors, including not getting the lock (e.g. the database is down), are logged
             try {
-                //SQL.getDataRow('SHOW CREATE TABLE ' + name);
-                SQL.getDataRow('SELECT ' + quoteName(name) + '::regclass');
-                // doesn't exist, create it
-                Schema.create(name);
+                // processes starting at the same time would race to create or alter the table
+                SQL.withAdvisoryLock('Schema.add ' + name, function () {
+                    if (!Schema.exists(name)) {
+                        Schema.create(name);
+                    }
+                    else if (Schema.autoChange) {
+                        Schema.change(name);
+                    }
+                    else if (Schema.plan(name).operations.length) {
+                        console.log('Schema: table ' + name + ' differs from its schema, see Schema.plan()');
+                    }
+                });
             }
             catch (e) {
-                try {
-                    Schema.change(name);
-                }
-                catch (e) {
-                    console.log(e);
-                }
+                console.log(e);
             }
         },
 
@@ -287,17 +896,21 @@ var Schema = function () {
          *
          * @method exists
          * @param {string} name name of database table (and schema)
+         * @param {PostgreSQL} database (optional) database to look in (default SQL)
          * @return {boolean} true if table exists, false otherwise
          */
-        exists : function (name) {
-            try {
-                //SQL.getDataRow('SHOW CREATE TABLE ' + name);
-                SQL.getDataRow('SELECT ' + quoteName(name) + '::regclass');
-                return true;
-            }
-            catch (e) {
-                return false;
-            }
+        exists : function (name, database) {
+            // the table unqualified names resolve to, as getFromTable() reads it
+            return (database || SQL).getScalar([
+                'SELECT',
+                '   count(*)',
+                'FROM',
+                '   pg_class t',
+                'WHERE',
+                "   t.relkind = 'r'",
+                '   AND t.relname = $1',
+                '   AND pg_table_is_visible(t.oid)'
+            ], [name], catalog) > 0;
         },
 
         /**
@@ -364,34 +977,59 @@ var Schema = function () {
          * <p>Generate a WHERE clause for SQL query based upon an example.
          * An array of "table.key=value" strings is returned, which can be concatonated
          * with another result of this function to generate WHERE clauses for JOIN
-         * type queries.  The values are SQL quoted proper.  If a value contains a %,
-         * then LIKE is generated.</p>
+         * type queries.  If a value contains a %, then LIKE is generated.</p>
+         *
+         * <p>If params is provided, the values are pushed onto it and the generated
+         * clauses refer to them as $n placeholders; pass the same params array to the
+         * SQL query method.  Otherwise the values are SQL quoted proper.</p>
          *
          * @method where
          * @param {string/object} name name of schema or schema proper
          * @param {object} example example to generate WHERE clause for
+         * @param {Array} params (optional) array to collect bound values in
          * @return {object} array of "table.key=value"
+         * @example
+         * var params = [],
+         *     where = Schema.where('Users', { groupId : 1 }, params);
+         * SQL.getDataRows('SELECT * FROM "Users" WHERE ' + where.join(' AND '), params);
          */
-        where : function (name, example) {
+        where : function (name, example, params) {
             var schema = getSchema(name);
             name = schema.name;
             var where = [];
+
+            function value(v, field) {
+                if (!params) {
+                    return SQL.quote(v);
+                }
+                if (field) {
+                    return placeholder(field, v, params);
+                }
+                params.push(v);
+                return '$' + params.length;
+            }
+
             decaf.each(schema.fields, function (field) {
                 if (!field.noQuery && !field.reserved && !field.clientOnly && example[field.name] !== undefined) {
-                    var value = example[field.name];
-                    if (isString(value) && value.indexOf('=') === 0) {
-                        where.push(['   ', quoteName(value.substr(1).replace(field.name, name + '.' + field.name))].join(''));
+                    var v = example[field.name],
+                        column = quoteName(name, '.', field.name);
+                    if (isString(v) && v.indexOf('=') === 0) {
+                        where.push(['   ', quoteName(v.substr(1).replace(field.name, name + '.' + field.name))].join(''));
                     }
-                    else if (isString(value) && value.indexOf('%') !== -1) {
-                        where.push(['   ', quoteName(name, '.', field.name), ' LIKE ', SQL.quote(value)].join(''));
+                    else if (isString(v) && v.indexOf('%') !== -1) {
+                        where.push(['   ', column, ' LIKE ', value(v)].join(''));
                     }
-                    else if (isArray(value)) {
-                        if (value.length) {
-                            where.push(['	', quoteName(name, '.', field.name), ' IN (', SQL.quote(value), ')'].join(''));
+                    else if (isArray(v)) {
+                        if (v.length) {
+                            var values = [];
+                            decaf.each(v, function (item) {
+                                values.push(value(item, field));
+                            });
+                            where.push(['	', column, ' IN (', values.join(','), ')'].join(''));
                         }
                     }
                     else {
-                        where.push(['   ', quoteName(name, '.', field.name), '=', SQL.quote(value)].join(''));
+                        where.push(['   ', column, '=', value(v, field)].join(''));
                     }
                 }
             });
@@ -410,7 +1048,8 @@ var Schema = function () {
             var schema = getSchema(name);
             name = schema.name;
             example = example || {};
-            var where = Schema.where(name, example);
+            var params = [];
+            var where = Schema.where(name, example, params);
             var query = [
                 'SELECT',
                 '       COUNT(*)',
@@ -421,7 +1060,7 @@ var Schema = function () {
                 query.push('WHERE');
                 query.push(where.join(' AND '));
             }
-            return SQL.getScalar(query);
+            return SQL.getScalar(query, params);
         },
 
         /**
@@ -518,9 +1157,10 @@ var Schema = function () {
             var startRow = req.data.start || 0;
             var maxRows = req.data.limit || 25;
             var sort = req.data.sort || schema.primaryKey;
-            var dir = req.data.dir || 'ASC';
+            var dir = String(req.data.dir).toUpperCase() === 'DESC' ? 'DESC' : 'ASC';
 
-            var where = Schema.where(name, example);
+            var params = [];
+            var where = Schema.where(name, example, params);
             var query = [
                 'SELECT',
                 '       COUNT(*)',
@@ -531,15 +1171,16 @@ var Schema = function () {
                 query.push('WHERE');
                 query.push(where.join(' AND '));
             }
-            var count = SQL.getScalar(query);
+            var count = SQL.getScalar(query, params);
             query[1] = '	*';
+            params.push(maxRows, startRow);
             query = query.concat([
                 'ORDER BY',
                 '	' + quoteName(sort) + ' ' + dir,
                 'LIMIT',
-                '	' + startRow + ',' + maxRows
+                '	$' + (params.length - 1) + ' OFFSET $' + params.length
             ]);
-            var items = SQL.getDataRows(query);
+            var items = SQL.getDataRows(query, params);
             if (fn) {
                 decaf.each(items, fn);
             }
@@ -555,12 +1196,14 @@ var Schema = function () {
          * <p>This function will insert a new record or update an existing record.</p?
          *
          * <p>If the record is new, the example is merged with default values so a complete
-         * record is created.  The primary key in the returned record is set to the insert_id
-         * generated by the query.</p>
+         * record is created.</p>
          *
          * <p>If the record exists, the example is merged with the existing record and updated
          * in the database.</p>
          *
+         * <p>The returned record is the row as stored by the database (INSERT/UPDATE ... RETURNING *),
+         * so it includes the generated primary key and any values set by column defaults or triggers.</p>
+         *
          * @method putOne
          * @param {object} schema name of schema or schema proper
          * @param {object} example full or partial record to store in the database
@@ -574,33 +1217,37 @@ var Schema = function () {
             example = Schema.newRecord(schema, example);
             example = Schema.onPut(schema, example);
 
-            var primaryKeyField = schema.primaryKeyField;
+            var primaryKeyField = schema.primaryKeyField,
+                stored;
             if (primaryKeyField) {
                 if (primaryKeyField.autoIncrement) {
                     example[primaryKeyField.name] = parseInt('' + example[primaryKeyField.name], 10);
+                    var params = [];
                     if (example[primaryKeyField.name]) {
                         var updates = [];
                         decaf.each(schema.fields, function (field) {
-                            updates.push(quoteName(field.name) + '=' + SQL.quote(example[field.name]));
+                            if (!field.reserved && !field.clientOnly && field.name !== primaryKey) {
+                                updates.push(quoteName(field.name) + '=' + placeholder(field, example[field.name], params));
+                            }
                         });
-                        var where = ' where ' + quoteName(schema.primaryKey) + '"=' + SQL.quote(example[schema.primaryKey]);
-                        SQL.update('update ' + quoteName(schema.name) + ' SET ' + updates.join(',') + where);
+                        params.push(example[schema.primaryKey]);
+                        var where = ' where ' + quoteName(schema.primaryKey) + '=$' + params.length;
+                        stored = SQL.execute('update ' + quoteName(schema.name) + ' SET ' + updates.join(',') + where + ' RETURNING *', params).rows[0];
                     }
                     else {
                         var keys = [], values = [];
                         decaf.each(schema.fields, function (field) {
                             if (!field.reserved && !field.clientOnly && field.name !== primaryKey) {
                                 keys.push(quoteName(field.name));
-                                values.push(SQL.quote(example[field.name]));
+                                values.push(placeholder(field, example[field.name], params));
                             }
                         });
-                        debugger;
-                        SQL.update('INSERT INTO "' + name + '" (' + keys.join(',') + ') VALUES (' + values.join(',') + ')');
+                        stored = SQL.execute('INSERT INTO ' + quoteName(name) + ' (' + keys.join(',') + ') VALUES (' + values.join(',') + ') RETURNING *', params).rows[0];
                     }
                 }
             }
-            if (primaryKey && !example[primaryKey]) {
-                example[primaryKey] = SQL.insertId();
+            if (stored) {
+                example = stored;
             }
             return Schema.onLoad(schema, example);
         },
@@ -613,11 +1260,14 @@ var Schema = function () {
          * @return {int} number of rows removed
          */
         remove       : function (name, example) {
-            var where = Schema.where(name, example);
+            var schema = getSchema(name);
+            name = schema.name;
+            var params = [];
+            var where = Schema.where(name, example, params);
             if (!where.length) {
                 throw new Error('Invalid example provided to remove function');
             }
-            example = Schema.onPut(example);
+            example = Schema.onPut(schema, example);
             var query = [
                 'DELETE',
                 'FROM',
@@ -625,7 +1275,7 @@ var Schema = function () {
             ];
             query.push('WHERE');
             query.push(where.join(' AND '));
-            return SQL.update(query);
+            return SQL.update(query, params);
         },
         /**
          * Create a database table from a schema
@@ -640,41 +1290,9 @@ var Schema = function () {
             if (drop) {
                 SQL.update('DROP TABLE IF EXISTS ' + quoteName(schema.name));
             }
-            var query = [
-                'CREATE TABLE ' + quoteName(name) + ' ('
-            ];
-            var primaryKey = null;
-            decaf.each(schema.fields, function (field) {
-                if (!field.reserved && !field.clientOnly) {
-                    if (field.autoIncrement) {
-                        primaryKey = field.name;
-                        query.push('	' + quoteName(field.name) + ' ' + 'serial,'); // field.type + ' auto_increment,');
-                    }
-                    else if (field.type === 'varchar') {
-                        query.push('	' + quoteName(field.name) + ' varchar(' + field.size + '),');
-                    }
-                    else {
-                        query.push('	' + quoteName(field.name) + ' ' + field.type + ',');
-                    }
-                }
+            decaf.each(createStatements(schema), function (query) {
+                SQL.update(query);
             });
-            if (schema.primaryKey) {
-                query.push('	Primary Key(' + quoteName(schema.primaryKey) + ')');
-            }
-            else if (primaryKey) {
-                query.push('	Primary Key(' + quoteName(primaryKey) + ')');
-            }
-            else {
-                var len = query.length - 1;
-                query[len] = query[len].replace(/,$/, '');
-            }
-            query.push(')');
-            SQL.update(query);
-            if (schema.indexes) {
-                decaf.each(schema.indexes, function (index) {
-                    SQL.update('CREATE INDEX ' + quoteName(name + '_' + index) + ' ON ' + quoteName(name) + '(' + index + ')');
-                });
-            }
             if (schema.onCreate) {
                 onStartFuncs.push(schema.onCreate);
                 //schema.onCreate();
@@ -683,18 +1301,24 @@ var Schema = function () {
         /**
          * <p>Generate a Schema definition from an existing database table.</p>
          *
+         * <p>Fields have nullable, default (a Schema.fn() expression), unique, check, and
+         * precision, scale and collation where they apply.</p>
+         *
          * @method getFromTable
          * @param {string} name of database table
+         * @param {PostgreSQL} database (optional) database the table is in (default SQL)
          * @return {object} Schema definition
          */
-        getFromTable : function (name) {
+        getFromTable : function (name, database) {
             var schema = {
                 name : name
             };
 
+            database = database || SQL;
+
             // OMG does this blow!
             // primary key is found in show indexes results in MySQL
-            var primaryKey = SQL.getScalar([
+            var primaryKey = database.getDataRows([
                 'select',
                 //'   tc.table_schema, tc.table_name, kc.column_name',
                 '   kc.column_name',
@@ -705,22 +1329,60 @@ var Schema = function () {
                 "   tc.constraint_type = 'PRIMARY KEY'",
                 '   and kc.table_name = tc.table_name and kc.table_schema = tc.table_schema',
                 '   and kc.constraint_name = tc.constraint_name',
-                '   and tc.table_name = ' + SQL.quote(name)
-            ]);
+                '   and tc.table_name = $1',
+                '   and tc.table_schema = ' + visibleSchema,
+                'order by',
+                '   kc.ordinal_position'
+            ], [name], catalog).map(function (row) {
+                return row.column_name;
+            }).join(',') || undefined;
             schema.primaryKey = primaryKey;
 
+            // single column unique and check constraints, by column
+            var constraints = {};
+            decaf.each(database.getDataRows([
+                'SELECT',
+                '   a.attname AS column_name, c.conname, c.contype, pg_get_constraintdef(c.oid) AS definition',
+                'FROM',
+                '   pg_constraint c',
+                '   JOIN pg_class t ON t.oid = c.conrelid',
+                '   JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = c.conkey[1]',
+                'WHERE',
+                "   c.contype IN ('u', 'c')",
+                '   AND array_length(c.conkey, 1) = 1',
+                '   AND t.relname = $1',
+                '   AND pg_table_is_visible(t.oid)',
+                'ORDER BY',
+                '   c.conname'
+            ], [name], catalog), function (row) {
+                var column = constraints[row.column_name] = constraints[row.column_name] || {};
+                if (row.contype === 'u') {
+                    column.unique = true;
+                    column.uniqueConstraint = row.conname;
+                }
+                else if (!column.check) {
+                    column.check = row.definition.replace(/^CHECK\s*\(([\s\S]*)\)(\s+NOT VALID)?$/, '$1');
+                    column.checkConstraint = row.conname;
+                }
+            });
+
             var fields = [];
-            var rows = SQL.getDataRows([
+            var rows = database.getDataRows([
                 'select',
-                '   column_name, udt_name, column_default, character_maximum_length',
+                '   column_name, udt_name, column_default, character_maximum_length,',
+                '   is_nullable, numeric_precision, numeric_scale, collation_name',
                 'from',
                 '   INFORMATION_SCHEMA.COLUMNS',
                 'where',
-                '   table_name = ' + SQL.quote(name)
-            ]);
+                '   table_name = $1',
+                '   and table_schema = ' + visibleSchema,
+                'order by',
+                '   ordinal_position'
+            ], [name], catalog);
             decaf.each(rows, function (row) {
                 var type = row.udt_name,
-                    size = row.character_maximum_length;
+                    size = row.character_maximum_length,
+                    field;
 
                 if (type === 'int4') {
                     type = 'int';
@@ -729,22 +1391,33 @@ var Schema = function () {
                     row.column_default = undefined;
                 }
                 if (row.column_default && row.column_default.indexOf('nextval') !== -1) {
-                    fields.push({
+                    field = {
                         name          : row.column_name,
                         type          : type,
                         size          : size,
                         autoIncrement : true,
                         defaultValue  : 0
-                    });
+                    };
                 }
                 else {
-                    fields.push({
+                    field = {
                         name         : row.column_name,
                         type         : type,
                         size         : size,
-                        defaultValue : row.column_default
-                    });
+                        defaultValue : row.column_default,
+                        'default'    : row.column_default === undefined ? undefined : Schema.fn(row.column_default)
+                    };
+                }
+                field.nullable = row.is_nullable === 'YES';
+                if (type === 'numeric' && row.numeric_precision !== null) {
+                    field.precision = row.numeric_precision;
+                    field.scale = row.numeric_scale;
                 }
+                if (row.collation_name) {
+                    field.collation = row.collation_name;
+                }
+                decaf.extend(field, {unique : false}, constraints[row.column_name] || {});
+                fields.push(field);
                 if (row.column_name === primaryKey) {
                     schema.primaryKeyFIeld = fields[fields.length-1];
                 }
@@ -754,7 +1427,7 @@ var Schema = function () {
             //debugger;
             // OMG does this blow!
             // MySQL equivalent: show indexes in table_name
-            rows = SQL.getDataRows([
+            rows = database.getDataRows([
                 'select',
                 '   t.relname as table_name,',
                 '   i.relname as index_name,',
@@ -770,11 +1443,12 @@ var Schema = function () {
                 '   and a.attrelid = t.oid',
                 '   and a.attnum = ANY(ix.indkey)',
                 "   and t.relkind = 'r'",
-                '   and t.relname = ' + SQL.quote(name),
+                '   and t.relname = $1',
+                '   and pg_table_is_visible(t.oid)',
                 'order by',
                 '   t.relname,',
                 '   i.relname'
-            ]);
+            ], [name], catalog);
             //rows = SQL.getDataRows('SHOW INDEXES IN ' + name);
             var indexArray = [];
             decaf.each(rows, function (row) {
@@ -788,211 +1462,143 @@ var Schema = function () {
             return schema;
         },
         /**
-         * Compare a schema with what's actually in the database and issue all alter table type
-         * statements required to make the database match the schema.
+         * <p>Get the statements that would make the database table match a schema, and the
+         * ones that would undo them, without running any.</p>
          *
-         * @method change
-         * @param name
+         * <p>The operations are those of plan(), including those plan() would refuse.</p>
+         *
+         * @method diff
+         * @param {string} name name of schema or schema proper
+         * @param {PostgreSQL} database (optional) database the table is in (default SQL)
+         * @return {object} { up : [ statements ], down : [ statements undoing them, in reverse order ] }
          */
-        change       : function (name) {
-            var schema = getSchema(name);
-
-            // table exists, alter the table if necessary
-            var existing = Schema.getFromTable(name);
-
-            function fieldTypeCompare(srcField, dstField) {
-                if (srcField.type === dstField.type) {
-                    if (srcField.type === 'varchar') {
-                        return parseInt(srcField.size, 10) === parseInt(dstField.size, 10);
-                    }
-                    else if (srcField.type === 'int') {
-                        if (srcField.autoIncrement === dstField.autoIncrement) {
-                            return true;
-                        }
-                    }
-                    else {
-                        return true;
-                    }
-                }
-                return false;
-            }
-
-            function changeField(srcField, dstField) {
-                var query;
-
-                if (dstField.name !== srcField.name) {
-                    SQL.update([
-                        'ALTER TABLE',
-                        '	' + quoteName(name),
-                        'RENAME COLUMN',
-                        '   ' + quoteName(dstField.name),
-                        'TO',
-                        '   ' + quoteName(srcField.name)
-                    ]);
-                }
-                query = [
-                    'ALTER TABLE',
-                    '	' + quoteName(name),
-                    'ALTER COLUMN',
-                    '   ' + quoteName(dstField.name),
-                    'SET DATA TYPE'
-                ];
-                if (srcField.autoIncrement) {
-                    query.push('	' + 'serial');
-                }
-                else if (srcField.type === 'varchar') {
-                    query.push('	' + 'varchar(' + srcField.size + ')');
-                }
-                else {
-                    query.push('	' + srcField.type);
-                }
-                SQL.update(query);
-            }
+        diff         : function (name, database) {
+            var up = [],
+                down = [];
 
-            function addField(field) {
-                var query = [
-                    'ALTER TABLE',
-                    '	' + quoteName(name),
-                    'ADD'
-                ];
-                if (field.autoIncrement) {
-                    query.push('	' + quoteName(field.name) + ' ' + 'serial');
-                }
-                else if (field.type === 'varchar') {
-                    query.push('	' + quoteName(field.name) + ' varchar(' + field.size + ')');
-                }
-                else {
-                    query.push('	' + quoteName(field.name) + ' ' + field.type);
-                }
-                SQL.update(query);
-                // initialize new field with default value in all records:
-                SQL.update('update ' + quoteName(name) + ' SET ' + quoteName(field.name) + '=' + SQL.quote(defaultValue(field)));
-            }
-
-            // index source fields
-            var srcFields = {};
-            decaf.each(schema.fields, function (field) {
-                if (!field.reserved && !field.clientOnly) {
-                    srcFields[field.name] = field;
-                }
+            decaf.each(planTable(getSchema(name), database || SQL), function (operation) {
+                up = up.concat(operation.sql);
+                down = operation.undo.concat(down);
             });
+            return {
+                up   : up,
+                down : down
+            };
+        },
+        /**
+         * <p>Compare a schema with its database table (see getFromTable()) and get the
+         * operations change() would run to make the table match, without running them.</p>
+         *
+         * <p>Each operation is an object with op, the exact sql statements it runs, and the
+         * undo statements that reverse it:</p>
+         * <ul>
+         * <li>createTable: the table doesn't exist</li>
+         * <li>addColumn, dropColumn {column}</li>
+         * <li>renameColumn {from, to}: a field missing from the table names the column in
+         * renamedFrom; a type that differs is changed after (alterColumnType)</li>
+         * <li>alterColumnType {column, from, to, narrowing}: from and to are SQL types</li>
+         * <li>setNotNull, dropNotNull {column}</li>
+         * <li>setDefault {column, from, to}, dropDefault {column, from}: from and to are SQL</li>
+         * <li>addUnique, dropUnique {column}</li>
+         * <li>addCheck, dropCheck {column, check}: a check that differs is dropped and added</li>
+         * <li>dropPrimaryKey, addPrimaryKey {columns}</li>
+         * <li>createIndex, dropIndex {index}: indexes named after the table and the schema's
+         * indexes; indexes created for a schema's index that it no longer has are dropped,
+         * indexes made by hand are left alone</li>
+         * </ul>
+         *
+         * <p>Operations that lose data are refused (refused is true, and reason says why)
+         * unless the schema allows them: dropping a column requires allowDropColumns: true,
+         * and a type that can't hold every value of the old one (e.g. varchar(64) to
+         * varchar(32), or bigint to int) requires allowTypeNarrowing: true.</p>
+         *
+         * @method plan
+         * @param {string} name name of schema or schema proper
+         * @return {object} { table, operations, sql : statements of the operations that aren't refused, refused : operations refused }
+         * @example
+         * var plan = Schema.plan('Users');
+         * if (plan.refused.length) {
+         *     console.log(plan.refused.map(function (operation) { return operation.reason; }).join('\n'));
+         * }
+         */
+        plan         : function (name) {
+            var schema = getSchema(name),
+                operations = planTable(schema, SQL),
+                sql = [];
 
-            // index destination fields
-            var dstFields = {};
-            decaf.each(existing.fields, function (field) {
-                dstFields[field.name] = field;
-            });
-            function findDstField(srcField) {
-                for (var i in dstFields) {
-                    if (fieldTypeCompare(srcField, dstFields[i])) {
-                        return dstFields[i];
-                    }
-                }
-                return false;
-            }
-
-            var fieldsProcessed = {};
-            // match up schema fields with existing fields and process them
-            decaf.each(srcFields, function (srcField) {
-                var dstField = dstFields[srcField.name];
-                if (dstField) {
-                    // there is a field in the schema with same name as in the database
-                    if (!fieldTypeCompare(srcField, dstField)) { // srcField.type !== dstField.type) {
-                        // need to alter the table/field type
-                        changeField(srcField, dstField);
-                    }
-                    delete dstFields[srcField.name];
-                    fieldsProcessed[srcField.name] = srcField;
+            decaf.each(operations, function (operation) {
+                if (!operation.refused) {
+                    sql = sql.concat(operation.sql);
                 }
             });
+            return {
+                table      : schema.name,
+                operations : operations,
+                sql        : sql,
+                refused    : operations.filter(function (operation) {
+                    return operation.refused;
+                })
+            };
+        },
+        /**
+         * <p>plan() every schema added with add(), and report drift: tables in the
+         * database (in the schemas on the search path) that no added schema describes.</p>
+         *
+         * @method planAll
+         * @param {array} ignore (optional) table names to leave out of the drift report (default [ 'schema_migrations' ])
+         * @return {object} { plans : [ plan, ... ] for the tables that need changes, drift : [ table names ] }
+         */
+        planAll      : function (ignore) {
+            var plans = [],
+                drift = [];
 
-            // look at remaining schema fields to see if existing fields are being renamed
-            decaf.each(srcFields, function (srcField) {
-                if (fieldsProcessed[srcField.name]) {
-                    return;
+            ignore = ignore || ['schema_migrations'];
+            decaf.each(tables, function (tf, name) {
+                var plan = Schema.plan(name);
+                if (plan.operations.length) {
+                    plans.push(plan);
                 }
-                var dstField = findDstField(srcField);
-                if (dstField) {
-                    // rename existing field
-                    changeField(srcField, dstField);
-                    delete dstFields[dstField.name];
-                    fieldsProcessed[srcField.name] = srcField;
-                }
-            });
-
-            // remove remaining destination fields
-            decaf.each(dstFields, function (dstField) {
-                SQL.update([
-                    'ALTER TABLE',
-                    '	' + name,
-                    'DROP',
-                    '	' + quoteName(dstField.name)
-                ]);
             });
-
-            // add any remaining source fields
-            decaf.each(srcFields, function (srcField) {
-                if (fieldsProcessed[srcField.name]) {
-                    return;
+            decaf.each(SQL.getDataRows([
+                'SELECT',
+                '   table_name',
+                'FROM',
+                '   information_schema.tables',
+                'WHERE',
+                "   table_type = 'BASE TABLE'",
+                '   AND table_schema = ANY (current_schemas(false))',
+                'ORDER BY',
+                '   table_name'
+            ]), function (row) {
+                if (!tables[row.table_name] && ignore.indexOf(row.table_name) === -1) {
+                    drift.push(row.table_name);
                 }
-                addField(srcField);
             });
+            return {
+                plans : plans,
+                drift : drift
+            };
+        },
+        /**
+         * <p>Compare a schema with what's actually in the database and issue all alter table type
+         * statements required to make the database match the schema.</p>
+         *
+         * <p>See plan() for the operations.  If any would be refused, nothing is changed and
+         * an error is thrown.</p>
+         *
+         * @method change
+         * @param name
+         */
+        change       : function (name) {
+            var plan = Schema.plan(name);
 
-            // TODO is this logic proper SQL statements? (from here down)
-            if (existing.primaryKey && !schema.primaryKey) {
-                SQL.update([
-                    'ALTER TABLE',
-                    '   ' + quoteName(name),
-                    'DROP',
-                    '   PRIMARY KEY'
-                ]);
-            }
-            else if (schema.primaryKey && !existing.primaryKey) {
-                SQL.update([
-                    'ALTER TABLE',
-                    '   ' + quoteName(name),
-                    'ADD',
-                    '   PRIMARY KEY (' + quoteName(schema.primaryKey) + ')'
-                ]);
-            }
-            else if (schema.primaryKey !== existing.primaryKey) {
-                SQL.update([
-                    'ALTER TABLE',
-                    '   ' + quoteName(name),
-                    'DROP',
-                    '   PRIMARY KEY'
-                ]);
-                SQL.update([
-                    'ALTER TABLE',
-                    '   ' + quoteName(name),
-                    'ADD',
-                    '   PRIMARY KEY (' + quoteName(schema.primaryKey) + ')'
-                ]);
-            }
-
-            var existingIndexes = {};
-            if (existing.indexes) {
-                decaf.each(existing.indexes, function (index) {
-                    existingIndexes[index] = true;
-                });
-            }
-            var newIndexes = [];
-            if (schema.indexes) {
-                decaf.each(schema.indexes, function (index) {
-                    if (existingIndexes[index]) {
-                        delete existingIndexes[index];
-                    }
-                    else {
-                        newIndexes.push(index);
-                    }
-                });
+            if (plan.refused.length) {
+                throw new Error('Schema: refusing to change table ' + plan.table + ': ' + plan.refused.map(function (operation) {
+                    return operation.reason;
+                }).join('; '));
             }
-            // delete old indexes not in the schema
-            decaf.each(existingIndexes, function (tf, index) {
-                SQL.update('ALTER TABLE DROP INDEX ' + quoteName(index.replace(/,/g, '_')));
-            });
-            decaf.each(newIndexes, function (index) {
-                SQL.update('ALTER TABLE ' + quoteName(name) + ' ADD INDEX ' + quoteName(index.replace(/,/g, '_')) + ' (' + quoteName(index) + ')');
+            decaf.each(plan.sql, function (query) {
+                SQL.update(query);
             });
         }
 
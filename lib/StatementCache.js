@@ -0,0 +1,145 @@
+/** @module StatementCache */
+
+/*global java, exports */
+
+/** @private */
+function closeQuietly( o ) {
+    try {
+        o.close();
+    }
+    catch ( e ) {
+
+    }
+}
+
+/**
+ * A least recently used cache of PreparedStatements for one connection, keyed by SQL text.
+ *
+ * Reusing a PreparedStatement lets the driver switch it to a named server side prepared
+ * statement after it has run prepareThreshold times (a driver connection option, default 5),
+ * so the server parses and plans it once.
+ *
+ * The connection is only used by the thread that has it checked out, so the cache isn't
+ * synchronized.  A statement is taken out of the cache while it runs; if the same SQL runs
+ * again meanwhile (e.g. from an eachRow() callback), a statement that isn't cached is used.
+ *
+ * The pool invalidates all its connections' caches by bumping its statement generation;
+ * each cache clears itself the next time it is used.
+ *
+ * @class StatementCache
+ * @param {java.sql.Connection} connection
+ * @param {Pool} pool the connection's pool, for its statement generation and counters
+ * @constructor
+ */
+function StatementCache( connection, pool ) {
+    this.connection = connection;
+    this.pool = pool;
+    this.size = pool.statementCacheSize;
+    this.generation = pool.statementGeneration;
+    this.entries = Object.create(null);     // sql => { statement, inUse, used }
+    this.count = 0;
+    this.tick = 0;
+}
+
+decaf.extend(StatementCache.prototype, {
+    /**
+     * Get a statement for sql, to be passed back with release() when done.
+     *
+     * @method take
+     * @param {string} sql SQL with ? markers
+     * @return {java.sql.PreparedStatement} statement
+     */
+    take    : function ( sql ) {
+        var entry,
+            statement;
+
+        if ( this.generation !== this.pool.statementGeneration ) {
+            this.clear();
+            this.generation = this.pool.statementGeneration;
+        }
+        entry = this.entries[ sql ];
+        if ( entry && !entry.inUse ) {
+            this.pool.statementCounters.hits.incrementAndGet();
+            entry.inUse = true;
+            entry.used = ++this.tick;
+            return entry.statement;
+        }
+        this.pool.statementCounters.misses.incrementAndGet();
+        statement = this.connection.prepareStatement(sql);
+        if ( !entry && this.size > 0 ) {
+            if ( this.count >= this.size ) {
+                this.evict();
+            }
+            this.entries[ sql ] = { statement : statement, inUse : true, used : ++this.tick };
+            this.count++;
+        }
+        return statement;
+    },
+    /**
+     * Return a statement from take() to the cache, or close it if it isn't cached.
+     *
+     * @method release
+     * @param {string} sql SQL the statement was taken for
+     * @param {java.sql.PreparedStatement} statement
+     */
+    release : function ( sql, statement ) {
+        var entry = this.entries[ sql ];
+
+        if ( !entry || entry.statement !== statement ) {
+            closeQuietly(statement);
+            return;
+        }
+        try {
+            statement.clearParameters();
+            statement.setFetchSize(0);
+            entry.inUse = false;
+        }
+        catch ( e ) {
+            this.remove(sql);
+        }
+    },
+    /**
+     * Close the least recently used statement that isn't in use.
+     *
+     * @method evict
+     */
+    evict   : function () {
+        var oldest = null,
+            entries = this.entries;
+
+        for ( var sql in entries ) {
+            if ( !entries[ sql ].inUse && (oldest === null || entries[ sql ].used < entries[ oldest ].used) ) {
+                oldest = sql;
+            }
+        }
+        if ( oldest !== null ) {
+            this.remove(oldest);
+            this.pool.statementCounters.evictions.incrementAndGet();
+        }
+    },
+    /** @private */
+    remove  : function ( sql ) {
+        var entry = this.entries[ sql ];
+        if ( entry ) {
+            delete this.entries[ sql ];
+            this.count--;
+            if ( !entry.inUse ) {
+                closeQuietly(entry.statement);
+            }
+        }
+    },
+    /**
+     * Close all cached statements.  Statements in use are closed when they are released.
+     *
+     * @method clear
+     */
+    clear   : function () {
+        for ( var sql in this.entries ) {
+            this.remove(sql);
+        }
+    }
+});
+
+decaf.extend(exports, {
+    StatementCache : StatementCache
+});
@@ -0,0 +1,667 @@
+/** @module Types */
+
+/*global java, org, require, exports, toString */
+
+/**
+ * Conversion between PostgreSQL column values and JavaScript values.
+ *
+ * Columns are decoded by their java.sql.Types code, or by PostgreSQL type name for the
+ * types the driver reports as OTHER.  Converters registered with registerType() take
+ * precedence over the built in decoding, for both decoding columns and encoding values
+ * bound to queries or quoted into them.
+ */
+
+var {Types} = java.sql,
+    {PGobject} = org.postgresql.util,
+    // cache these types for speed:
+    {BIT, BOOLEAN} = Types,
+    {TINYINT, BIGINT, SMALLINT, INTEGER} = Types,
+    {REAL, FLOAT, DOUBLE, DECIMAL, NUMERIC} = Types,
+    {VARBINARY, BINARY, LONGVARBINARY, LONGVARCHAR, CHAR, VARCHAR, CLOB, OTHER} = Types,
+    {DATE, TIME, TIMESTAMP} = Types,
+    {ARRAY} = Types,
+    {NULL} = Types;
+
+/** @private */
+function isString( s ) {
+    return typeof s === 'string';
+}
+
+// registered converters, by PostgreSQL type name and by type OID
+var converters = {},
+    oidConverters = {},
+    hasOidConverters = false;
+
+/**
+ * Register a converter for a PostgreSQL type.
+ *
+ * The converter is an object with these (optional) members:
+ *
+ * - decode {function} called with the text representation of a non-null column value and
+ *   { name, typeName } of the column, returns the JavaScript value
+ * - encode {function} called with a JavaScript value, returns its text representation
+ * - test {function} called with a JavaScript value bound to a query or quoted, returns true
+ *   if the value is of this type and is to be encoded by this converter
+ *
+ * Values can also be sent as the type explicitly by wrapping them with typed().
+ *
+ * Pass null as the converter to remove a registration.
+ *
+ * @method registerType
+ * @param {string|int} type PostgreSQL type name (as returned by ResultSetMetaData.getColumnTypeName) or OID
+ * @param {object} converter the converter
+ * @example
+ PostgreSQL.registerType('citext', {
+        decode : function ( text ) { return text.toLowerCase(); }
+     });
+ PostgreSQL.registerType('ltree', {
+        decode : function ( text ) { return text.split('.'); },
+        encode : function ( path ) { return path.join('.'); }
+     });
+ SQL.getDataRows('SELECT * FROM tree WHERE path <@ $1', [ PostgreSQL.typed('ltree', [ 'Top', 'Science' ]) ]);
+ */
+function registerType( type, converter ) {
+    var registry = typeof type === 'number' ? oidConverters : converters;
+    if ( converter ) {
+        registry[ type ] = converter;
+    }
+    else {
+        delete registry[ type ];
+    }
+    hasOidConverters = false;
+    for ( var oid in oidConverters ) {
+        hasOidConverters = true;
+        break;
+    }
+}
+
+/**
+ * @private
+ *
+ * A value wrapped to be sent as a specific PostgreSQL type, see typed().
+ */
+function TypedValue( type, value ) {
+    this.type = type;
+    this.value = value;
+}
+
+/**
+ * Wrap a value to be bound to a query (or quoted) as a specific PostgreSQL type.
+ *
+ * If a converter with an encode function is registered for the type, it is used to
+ * encode the value, otherwise the value is sent as String(value).
+ *
+ * @method typed
+ * @param {string|int} type PostgreSQL type name or OID
+ * @param {*} value the value
+ * @return {object} the wrapped value
+ */
+function typed( type, value ) {
+    return new TypedValue(type, value);
+}
+
+/**
+ * @private
+ *
+ * Map of type name to converter, including OID registrations resolved to type names
+ * through the driver's (cached) type info for the connection.
+ */
+function converterMap( connection ) {
+    if ( !hasOidConverters ) {
+        return converters;
+    }
+    var map = decaf.extend({}, converters),
+        typeInfo = connection.getTypeInfo(),
+        name;
+
+    for ( var oid in oidConverters ) {
+        name = typeInfo.getPGType(parseInt(oid, 10));
+        if ( name !== null ) {
+            map[ String(name) ] = oidConverters[ oid ];
+        }
+    }
+    return map;
+}
+
+/**
+ * @private
+ *
+ * If value is a typed() value or is recognized by a converter's test(), encode it.
+ *
+ * getConnection is called to resolve OIDs to type names when necessary.
+ *
+ * @return {object} { type : type name, text : encoded text or null } or null if value is not a custom typed value
+ */
+function encodeCustom( value, getConnection ) {
+    var type, converter, text;
+
+    if ( value instanceof TypedValue ) {
+        type = value.type;
+        value = value.value;
+        converter = typeof type === 'number' ? oidConverters[ type ] : converters[ type ];
+    }
+    else if ( value !== null && value !== undefined && typeof value === 'object' ) {
+        decaf.each([ converters, oidConverters ], function ( registry ) {
+            for ( var key in registry ) {
+                if ( registry[ key ].test && registry[ key ].test(value) ) {
+                    type = registry === oidConverters ? parseInt(key, 10) : key;
+                    converter = registry[ key ];
+                    return false;
+                }
+            }
+        });
+        if ( !converter ) {
+            return null;
+        }
+    }
+    else {
+        return null;
+    }
+
+    if ( typeof type === 'number' ) {
+        type = String(getConnection().getTypeInfo().getPGType(type));
+    }
+    if ( value === null || value === undefined ) {
+        text = null;
+    }
+    else {
+        text = String(converter && converter.encode ? converter.encode(value) : value);
+    }
+    return { type : type, text : text };
+}
+
+/** @private */
+function decodeByteArray( bytes ) {
+    if ( !bytes ) {
+        return bytes;
+    }
+    return String(new java.lang.String(bytes));
+}
+
+/**
+ * Calendar for the configured timezone, or null to use the JVM default.
+ * Calendars are not thread safe, so one is made per query.
+ *
+ * @method getCalendar
+ */
+function getCalendar( options ) {
+    return options.timezone ? java.util.Calendar.getInstance(options.timezone) : null;
+}
+
+/**
+ * Format a Date as a timestamp literal with an explicit offset, e.g. 2014-12-15 13:45:00.000-08:00
+ *
+ * The offset is that of the configured timezone (or the JVM default).  timestamptz columns
+ * store the exact instant and timestamp columns store the wall clock time in that zone,
+ * which is how they decode again.
+ *
+ * @method formatDate
+ */
+function formatDate( date, options ) {
+    var format = new java.text.SimpleDateFormat('yyyy-MM-dd HH:mm:ss.SSSXXX');
+    if ( options.timezone ) {
+        format.setTimeZone(options.timezone);
+    }
+    return String(format.format(new java.util.Date(date.getTime())));
+}
+
+/**
+ * @private
+ *
+ * Decode a DATE, TIME or TIMESTAMP column.
+ *
+ * timestamptz values are instants and decode exactly.  timestamp (without time zone) and date
+ * values are wall clock values, interpreted in the configured timezone (or the JVM default).
+ * time and timetz values have no date, so they decode as the string PostgreSQL returns,
+ * e.g. '13:45:00' or '13:45:00+02'.
+ *
+ * With the dates: 'iso' option, timestamptz values decode as ISO 8601 strings in UTC, and
+ * timestamp and date values as ISO 8601 strings without a zone.
+ */
+function decodeTemporal( resultSet, i, typeName, options, calendar ) {
+    var value;
+
+    if ( typeName === 'time' || typeName === 'timetz' || (options.dates === 'iso' && typeName !== 'timestamptz') ) {
+        value = resultSet.getString(i);
+        return value === null ? null : String(value).replace(' ', 'T');
+    }
+    if ( typeName === 'date' ) {
+        value = calendar ? resultSet.getDate(i, calendar) : resultSet.getDate(i);
+    }
+    else {
+        value = calendar ? resultSet.getTimestamp(i, calendar) : resultSet.getTimestamp(i);
+    }
+    if ( value === null ) {
+        return null;
+    }
+    value = new Date(value.getTime());
+    return options.dates === 'iso' ? value.toISOString() : value;
+}
+
+/** @private */
+function decodeString( s ) {
+    return s === null ? null : String(s);
+}
+
+/**
+ * @private
+ *
+ * Decode a NUMERIC/DECIMAL column as a Number, or with the numeric: 'string' option as the
+ * exact decimal string so money values don't lose precision.
+ */
+function decodeNumeric( resultSet, i, options ) {
+    if ( options.numeric === 'string' ) {
+        return decodeString(resultSet.getString(i));
+    }
+    var value = resultSet.getDouble(i);
+    return resultSet.wasNull() ? null : Number(value);
+}
+
+/**
+ * @private
+ *
+ * Parse hstore text output, e.g. "a"=>"1", "b"=>NULL, into a plain object.
+ */
+function parseHstore( text ) {
+    var re = /"((?:[^"\\]|\\.)*)"\s*=>\s*(?:(NULL)|"((?:[^"\\]|\\.)*)")/g,
+        result = {},
+        match;
+
+    function unescape( s ) {
+        return s.replace(/\\(.)/g, '$1');
+    }
+
+    while ( (match = re.exec(text)) ) {
+        result[ unescape(match[ 1 ]) ] = match[ 2 ] === 'NULL' ? null : unescape(match[ 3 ]);
+    }
+    return result;
+}
+
+/**
+ * @private
+ *
+ * Decode a column the driver reports as java.sql.Types.OTHER by its PostgreSQL type name.
+ *
+ * json and jsonb are parsed, hstore becomes a plain object, interval an object (see
+ * decodeInterval).  Anything else (uuid, inet, cidr, macaddr, enums...) is returned as
+ * its text representation.
+ */
+function decodeOther( resultSet, i, typeName ) {
+    var value;
+
+    switch ( typeName ) {
+        case 'interval':
+            return decodeInterval(resultSet, i);
+        case 'json':
+        case 'jsonb':
+            value = resultSet.getString(i);
+            return value === null ? null : JSON.parse(String(value));
+        case 'hstore':
+            value = resultSet.getString(i);
+            return value === null ? null : parseHstore(String(value));
+        default:
+            return decodeString(resultSet.getString(i));
+    }
+}
+
+/**
+ * @private
+ *
+ * Convert an element of a java.sql.Array to JavaScript.  baseType is the PostgreSQL
+ * element type name, e.g. int4 or json.  Elements of a type with a registered converter
+ * are decoded by the converter.
+ */
+function decodeArrayElement( element, baseType, options, converters ) {
+    if ( element === null || element === undefined ) {
+        return null;
+    }
+    if ( toString.apply(element) === '[object JavaArray]' ) {
+        // multidimensional arrays are arrays of arrays
+        var result = [];
+        for ( var i = 0; i < element.length; i++ ) {
+            result.push(decodeArrayElement(element[ i ], baseType, options, converters));
+        }
+        return result;
+    }
+    if ( typeof element === 'number' || typeof element === 'boolean' ) {
+        return element;
+    }
+    if ( element instanceof java.lang.Boolean ) {
+        return Boolean(element.booleanValue());
+    }
+    if ( element instanceof java.math.BigDecimal ) {
+        return options.numeric === 'string' ? String(element.toPlainString()) : Number(element.doubleValue());
+    }
+    if ( element instanceof java.lang.Number ) {
+        return Number(element.doubleValue());
+    }
+    if ( element instanceof java.util.Date ) {
+        element = new Date(element.getTime());
+        return options.dates === 'iso' ? element.toISOString() : element;
+    }
+    element = String(element);
+    if ( converters[ baseType ] && converters[ baseType ].decode ) {
+        return converters[ baseType ].decode(element, { typeName : baseType });
+    }
+    if ( baseType === 'json' || baseType === 'jsonb' ) {
+        return JSON.parse(element);
+    }
+    return baseType === 'hstore' ? parseHstore(element) : element;
+}
+
+/**
+ * @private
+ *
+ * Decode an ARRAY column (java.sql.Array) as a JavaScript array.
+ */
+function decodeArray( array, options, converters ) {
+    if ( array === null ) {
+        return null;
+    }
+    return decodeArrayElement(array.getArray(), String(array.getBaseTypeName()), options, converters);
+}
+
+/**
+ * @private
+ *
+ * Decode an INTERVAL column as an object with years, months, days, hours, minutes
+ * and (fractional) seconds members.
+ */
+function decodeInterval( resultSet, i ) {
+    var interval = resultSet.getObject(i);
+    if ( interval === null ) {
+        return null;
+    }
+    return {
+        years   : Number(interval.getYears()),
+        months  : Number(interval.getMonths()),
+        days    : Number(interval.getDays()),
+        hours   : Number(interval.getHours()),
+        minutes : Number(interval.getMinutes()),
+        seconds : Number(interval.getSeconds())
+    };
+}
+
+/**
+ * @private
+ *
+ * Element type to bind a JavaScript array as: int8, float8, bool, text or timestamptz, by
+ * its (non-null) elements.  Returns '' if it has none, and null if it holds anything else,
+ * e.g. objects, or elements of more than one type.
+ */
+function arrayElementType( array ) {
+    var type = '',
+        elementType,
+        element;
+
+    for ( var i = 0, len = array.length; i < len; i++ ) {
+        element = array[ i ];
+        if ( element === null || element === undefined ) {
+            continue;
+        }
+        if ( typeof element === 'number' ) {
+            elementType = element % 1 === 0 && Math.abs(element) <= 9007199254740991 ? 'int8' : 'float8';
+            if ( type === 'int8' || type === 'float8' ) {
+                // mixed integers and fractions are all float8
+                type = type === 'float8' ? type : elementType;
+                continue;
+            }
+        }
+        else if ( typeof element === 'boolean' ) {
+            elementType = 'bool';
+        }
+        else if ( isString(element) ) {
+            elementType = 'text';
+        }
+        else if ( toString.apply(element) === '[object Date]' ) {
+            elementType = 'timestamptz';
+        }
+        else {
+            return null;
+        }
+        if ( type && type !== elementType ) {
+            return null;
+        }
+        type = elementType;
+    }
+    return type;
+}
+
+/**
+ * @private
+ *
+ * Bind a JavaScript array as a PostgreSQL array of elementType, from arrayElementType().
+ */
+function bindArray( statement, index, array, elementType ) {
+    var elements = java.lang.reflect.Array.newInstance(java.lang.Object, array.length),
+        element;
+
+    for ( var i = 0, len = array.length; i < len; i++ ) {
+        element = array[ i ];
+        if ( element === null || element === undefined ) {
+            elements[ i ] = null;
+        }
+        else if ( elementType === 'int8' ) {
+            elements[ i ] = new java.lang.Long(element);
+        }
+        else if ( elementType === 'float8' ) {
+            elements[ i ] = new java.lang.Double(element);
+        }
+        else if ( elementType === 'bool' ) {
+            elements[ i ] = new java.lang.Boolean(element);
+        }
+        else if ( elementType === 'timestamptz' ) {
+            elements[ i ] = new java.sql.Timestamp(element.getTime());
+        }
+        else {
+            elements[ i ] = new java.lang.String(element);
+        }
+    }
+    statement.setArray(index, statement.getConnection().createArrayOf(elementType, elements));
+}
+
+/**
+ * Bind a JavaScript value to a PreparedStatement parameter.
+ *
+ * Strings are bound as varchar; to compare one to a column of another type, cast the
+ * placeholder (e.g. $1::uuid) or wrap the value with typed().  Arrays of numbers, booleans,
+ * strings or Dates are bound as int8[], float8[], bool[], text[] or timestamptz[] arrays,
+ * so = ANY($1) works; empty arrays and arrays of nulls have their type inferred by the
+ * server.  Other objects, including arrays of them, are sent as json.
+ *
+ * Values wrapped with typed() or recognized by a registered converter's test()
+ * are encoded by the converter and sent as that PostgreSQL type.
+ *
+ * @method bindValue
+ * @param {java.sql.PreparedStatement} statement
+ * @param {int} index 1 based parameter index
+ * @param {*} value value to bind
+ * @param {java.util.Calendar} calendar calendar for Dates, or null for the JVM default
+ */
+function bindValue( statement, index, value, calendar ) {
+    var type = toString.apply(value),
+        custom = encodeCustom(value, function () {
+            return statement.getConnection();
+        }),
+        elementType;
+
+    if ( custom ) {
+        var object = new PGobject();
+        object.setType(custom.type);
+        object.setValue(custom.text);
+        statement.setObject(index, object);
+    }
+    else if ( value === null || value === undefined ) {
+        statement.setNull(index, NULL);
+    }
+    else if ( typeof value === 'boolean' ) {
+        statement.setBoolean(index, value);
+    }
+    else if ( typeof value === 'number' ) {
+        if ( value % 1 === 0 && Math.abs(value) <= 9007199254740991 ) {
+            statement.setLong(index, value);
+        }
+        else {
+            statement.setDouble(index, value);
+        }
+    }
+    else if ( isString(value) ) {
+        statement.setString(index, value);
+    }
+    else if ( type === '[object Date]' ) {
+        if ( calendar ) {
+            statement.setTimestamp(index, new java.sql.Timestamp(value.getTime()), calendar);
+        }
+        else {
+            statement.setTimestamp(index, new java.sql.Timestamp(value.getTime()));
+        }
+    }
+    else if ( type === '[object JavaArray]' ) {
+        // byte[]
+        statement.setBytes(index, value);
+    }
+    else if ( value instanceof java.lang.Object ) {
+        statement.setObject(index, value);
+    }
+    else if ( type === '[object Array]' && (elementType = arrayElementType(value)) !== null ) {
+        if ( elementType ) {
+            bindArray(statement, index, value, elementType);
+        }
+        else {
+            // empty, or all nulls: an array literal of unspecified type
+            statement.setObject(index, '{' + value.map(function () {
+                    return 'NULL';
+                }).join(',') + '}', OTHER);
+        }
+    }
+    else {
+        // any other JavaScript object is sent as json
+        statement.setObject(index, JSON.stringify(value), OTHER);
+    }
+}
+
+
+/**
+ * Describe the columns of a result set for readRow().
+ *
+ * @method readColumns
+ * @param {java.sql.ResultSetMetaData} metaData
+ * @param {java.sql.Connection} connection connection the result set is from
+ * @return {Array} column descriptors
+ */
+function readColumns( metaData, connection ) {
+    var count = metaData.getColumnCount(),
+        map = converterMap(connection),
+        columns = [],
+        typeName,
+        i;
+
+    for ( i = 1; i <= count; i++ ) {
+        typeName = String(metaData.getColumnTypeName(i));
+        columns.push({
+            index      : i,
+            name       : String(metaData.getColumnLabel(i)),
+            type       : metaData.getColumnType(i),
+            typeName   : typeName,
+            converter  : (map[ typeName ] && map[ typeName ].decode) ? map[ typeName ] : null,
+            converters : map
+        });
+    }
+    return columns;
+}
+
+/**
+ * @private
+ *
+ * Decode the value of one column of the current row, without regard to NULL.
+ */
+function decodeColumn( resultSet, column, options, calendar ) {
+    var i = column.index,
+        value;
+
+    if ( column.converter ) {
+        value = resultSet.getString(i);
+        return value === null ? null : column.converter.decode(String(value), column);
+    }
+    switch ( column.type ) {
+        case BIT:
+        case BOOLEAN:
+            return Boolean(resultSet.getBoolean(i));
+        case TINYINT:
+        case BIGINT:
+        case SMALLINT:
+        case INTEGER:
+            return Number(resultSet.getLong(i));
+        case REAL:
+        case FLOAT:
+        case DOUBLE:
+            return Number(resultSet.getDouble(i));
+        case DECIMAL:
+        case NUMERIC:
+            return decodeNumeric(resultSet, i, options);
+        case VARBINARY:
+        case BINARY:
+        case LONGVARBINARY:
+            return resultSet.getBytes(i);
+        case OTHER:
+            return decodeOther(resultSet, i, column.typeName);
+        case ARRAY:
+            return decodeArray(resultSet.getArray(i), options, column.converters);
+        case LONGVARCHAR:
+        case CHAR:
+        case VARCHAR:
+        case CLOB:
+            return decodeByteArray(resultSet.getBytes(i));
+        case DATE:
+        case TIME:
+        case TIMESTAMP:
+            return decodeTemporal(resultSet, i, column.typeName, options, calendar);
+        case NULL:
+            return null;
+        default:
+            return decodeString(resultSet.getString(i));
+    }
+}
+
+/**
+ * @private
+ *
+ * Decode the value of one column of the current row, NULL as null for every type.
+ */
+function readColumn( resultSet, column, options, calendar ) {
+    var value = decodeColumn(resultSet, column, options, calendar);
+    // getBoolean(), getLong() and getDouble() return false and 0 for NULL
+    return resultSet.wasNull() ? null : value;
+}
+
+/**
+ * Decode the current row of a result set as an object keyed by column label.
+ *
+ * @method readRow
+ * @param {java.sql.ResultSet} resultSet result set positioned on a row
+ * @param {Array} columns column descriptors from readColumns()
+ * @param {object} options decoding options (dates, numeric, timezone)
+ * @param {java.util.Calendar} calendar from getCalendar(options)
+ * @return {object} the row
+ */
+function readRow( resultSet, columns, options, calendar ) {
+    var row = {},
+        column;
+
+    for ( var i = 0, len = columns.length; i < len; i++ ) {
+        column = columns[ i ];
+        row[ column.name ] = readColumn(resultSet, column, options, calendar);
+    }
+    return row;
+}
+
+decaf.extend(exports, {
+    registerType : registerType,
+    typed        : typed,
+    encodeCustom : encodeCustom,
+    getCalendar  : getCalendar,
+    formatDate   : formatDate,
+    bindValue    : bindValue,
+    readColumns  : readColumns,
+    readRow      : readRow
+});